@@ -1,10 +1,11 @@
-import { EditorState } from '@codemirror/state';
+import { EditorState, Compartment } from '@codemirror/state';
 import { EditorView, scrollPastEnd } from '@codemirror/view';
 import {
   hybridMarkdown,
   toggleTheme,
   getTheme,
   toggleHybridMode,
+  setMode,
   getMode,
   toggleReadOnly,
   isReadOnly,
@@ -18,13 +19,19 @@ import {
   isToolbar,
   toggleWordCount,
   isWordCount,
+  toggleOutline,
+  isOutline,
   toggleFrontmatterSheet,
   isFrontmatterSheet,
+  exportHtml,
+  getFoldState,
+  restoreFoldState,
   actions,
   tagAutocomplete,
   createNoteIndex,
   resolveWikiLink,
   wikiLinkAutocomplete,
+  renameWikiLinkTarget,
   moreMenu,
 } from '../lib/index.js';
 import { autocompletion } from '@codemirror/autocomplete';
@@ -48,22 +55,168 @@ container.appendChild(wrapper);
 // Check if we should load example content or start empty
 // Use #empty hash to start with an empty editor
 const shouldLoadExample = window.location.hash !== '#empty';
+
+async function downloadHtml(view) {
+  const html = await exportHtml(view, { inlineCss: true });
+  const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'document.html';
+  link.click();
+  URL.revokeObjectURL(url);
+}
 const initialContent = shouldLoadExample ? exampleContent : '';
 
-const noteIndex = createNoteIndex([
-  { title: 'Project Plan', aliases: ['Plan'] },
+const notes = [
+  { title: 'Project Plan', aliases: ['Plan'], headings: [{ text: 'Project Plan', level: 1 }, { text: 'Milestones', level: 2 }] },
   { title: 'Meeting Notes' },
-  { title: 'Research Notes' },
+  // Headings and block IDs read from the note when first completed
+  { title: 'Research Notes', loadOutline: () => getOutline('Research Notes') },
   { title: 'Daily Log' },
-  { title: 'Release Checklist' },
-]);
+  { title: 'Release Checklist', loadOutline: () => getOutline('Release Checklist') },
+  // Embed each other, and a chain deeper than the embed depth limit
+  { title: 'Loop A' },
+  { title: 'Loop B' },
+  { title: 'Chain 1' },
+  { title: 'Chain 2' },
+  { title: 'Chain 3' },
+  { title: 'Chain 4' },
+];
+let noteIndex = createNoteIndex(notes);
+
+// Markdown of the demo notes, for ![[Note]] embeds
+const noteContents = {
+  'project plan': '---\ntitle: Project Plan\n---\n# Project Plan\n\nShip the **hybrid editor** by the end of the quarter.\n\n## Milestones\n\n- [x] Preview rendering\n- [ ] Note embeds\n\n![[Release Checklist#Review]]',
+  'research notes': '# Research Notes\n\n## Open Questions\n\n- How should embeds handle very long notes?\n- Should sections be editable in place?\n\n## Sources {#reading-list}\n\nSee [[Daily Log]].',
+  'release checklist': '# Release Checklist\n\n## Build\n\nRun `npm run build:lib`. ^build-command\n\n## Review\n\n- [ ] Changelog updated #release\n- [ ] Demo checked in both themes',
+  'loop a': 'Loop A embeds Loop B:\n\n![[Loop B]]',
+  'loop b': 'Loop B embeds Loop A:\n\n![[Loop A]]',
+  'chain 1': 'First link\n\n![[Chain 2]]',
+  'chain 2': 'Second link\n\n![[Chain 3]]',
+  'chain 3': 'Third link\n\n![[Chain 4]]',
+  'chain 4': 'Fourth link',
+};
+
+async function getOutline(title) {
+  const content = noteContents[title.toLowerCase()] || '';
+  return {
+    headings: [...content.matchAll(/^(#{1,6})\s+(.+?)(?:\s+\{#[\w-]+\})?$/gm)].map((m) => ({ text: m[2], level: m[1].length })),
+    blocks: [...content.matchAll(/^(.*?)\s*\^([\w-]+)$/gm)].map((m) => ({ id: m[2], text: m[1] })),
+  };
+}
+
+async function loadNote(link) {
+  const note = resolveWikiLink(noteIndex, link);
+  return note ? noteContents[note.title.toLowerCase()] ?? null : null;
+}
+
+// Custom fenced block: ```progress with one "Label: percent" per line
+function renderProgressBlock(content) {
+  const list = document.createElement('div');
+  list.className = 'demo-progress';
+  for (const line of content.split('\n')) {
+    const match = line.match(/^(.*?):\s*(\d+)%?\s*$/);
+    if (!match) continue;
+    const row = document.createElement('div');
+    row.className = 'demo-progress-row';
+    const label = document.createElement('span');
+    label.textContent = match[1];
+    const bar = document.createElement('progress');
+    bar.max = 100;
+    bar.value = Number(match[2]);
+    row.append(label, bar);
+    list.appendChild(row);
+  }
+  return list;
+}
+
+// markdown-it plugin for this editor only: @name renders as a mention.
+// Kept in one array so reconfiguring reuses the editor's renderer.
+function mentions(md) {
+  md.inline.ruler.push('demo_mention', (state, silent) => {
+    const match = /^@(\w+)/.exec(state.src.slice(state.pos));
+    if (!match) return false;
+    if (!silent) {
+      const token = state.push('html_inline', '', 0);
+      token.content = `<span class="demo-mention">@${match[1]}</span>`;
+    }
+    state.pos += match[0].length;
+    return true;
+  });
+}
+const markdownPlugins = [mentions];
+
+// Stand-in uploader: reports progress, then serves the file from a blob URL.
+// Files with "fail" in their name are rejected to show the error state.
+function uploadImage(file, { onProgress }) {
+  return new Promise((resolve, reject) => {
+    let progress = 0;
+    const timer = setInterval(() => {
+      progress += 0.25;
+      onProgress(progress);
+      if (progress < 1) return;
+      clearInterval(timer);
+      if (file.name.includes('fail')) reject(new Error('Server rejected the file'));
+      else resolve(URL.createObjectURL(file));
+    }, 150);
+  });
+}
 
 const wikiLinkTelemetry = {
   last: null,
   clicks: [],
+  created: [],
 };
 window.__wikiLinkTelemetry = wikiLinkTelemetry;
 
+// Fold states reported by onFoldChange (an app would store them per note)
+const foldChanges = [];
+window.__foldChanges = foldChanges;
+
+// Holds hybridMarkdown() so a created note can swap in a new noteIndex
+const markdownCompartment = new Compartment();
+
+function createMarkdownExtension() {
+  return hybridMarkdown({
+    theme: 'light',
+    enableCustomTasks: true,
+    enableWikiLinks: true,
+    renderWikiLinks: true,
+    onWikiLinkClick: (link) => {
+      const resolved = resolveWikiLink(noteIndex, link);
+      wikiLinkTelemetry.last = link;
+      wikiLinkTelemetry.clicks.push(link);
+      console.info('Wiki link clicked', { link, resolved });
+    },
+    noteIndex,
+    onCreateNote: (title) => {
+      wikiLinkTelemetry.created.push(title);
+      console.info('Create note', title);
+      notes.push({ title });
+      noteIndex = createNoteIndex(notes);
+      view.dispatch({ effects: markdownCompartment.reconfigure(createMarkdownExtension()) });
+    },
+    enableTags: true,
+    onTagClick: (tag) => {
+      console.info('Tag clicked', tag);
+    },
+    blockRenderers: {
+      progress: renderProgressBlock,
+    },
+    markdownPlugins,
+    formatTables: true,
+    onFoldChange: (foldState) => foldChanges.push(foldState),
+    resolveLinkTitle: async (url) => new URL(url).hostname.replace(/^www\./, ''),
+    onImageUpload: uploadImage,
+    // Notes refer to attachments by vault path; the demo serves them from its root
+    resolveImageUrl: (src) => src.replace(/^attachments\//, ''),
+    resolveEmbed: loadNote,
+    resolveNotePreview: loadNote,
+    toolbar: false,
+    frontmatterKeys: ['title', 'date', 'tags', 'author', 'description', 'draft', 'category', 'slug', 'image', 'published'],
+  });
+}
+
 // Initialize editor with the extension
 const state = EditorState.create({
   doc: initialContent,
@@ -71,24 +224,7 @@ const state = EditorState.create({
     scrollPastEnd(),
 
     // The main hybrid markdown extension
-    hybridMarkdown({
-      theme: 'light',
-      enableCustomTasks: true,
-      enableWikiLinks: true,
-      renderWikiLinks: true,
-      onWikiLinkClick: (link) => {
-        const resolved = resolveWikiLink(noteIndex, link);
-        wikiLinkTelemetry.last = link;
-        wikiLinkTelemetry.clicks.push(link);
-        console.info('Wiki link clicked', { link, resolved });
-      },
-      enableTags: true,
-      onTagClick: (tag) => {
-        console.info('Tag clicked', tag);
-      },
-      toolbar: false,
-      frontmatterKeys: ['title', 'date', 'tags', 'author', 'description', 'draft', 'category', 'slug', 'image', 'published'],
-    }),
+    markdownCompartment.of(createMarkdownExtension()),
 
     // Autocomplete: wiki links + tags combined into one autocompletion() call
     autocompletion({
@@ -109,14 +245,24 @@ const state = EditorState.create({
       items: [
         { label: 'Dark mode', handler: (v) => toggleTheme(v), getState: (v) => getTheme(v) === 'dark' },
         { label: 'Raw mode', handler: (v) => { toggleHybridMode(v); }, getState: (v) => getMode(v) === 'raw' },
+        { label: 'Read mode', handler: (v) => setMode(v, getMode(v) === 'read' ? 'hybrid' : 'read'), getState: (v) => getMode(v) === 'read' },
         { label: 'Read-only', handler: (v) => toggleReadOnly(v), getState: (v) => isReadOnly(v) },
         { type: 'separator' },
         { label: 'Writing Mode', handler: (v) => toggleWritingModeSheet(v), getState: (v) => isTypewriter(v) || isFocusMode(v) },
         { label: 'Toolbar', handler: (v) => toggleToolbar(v), getState: (v) => isToolbar(v) },
         { label: 'Word count', handler: (v) => toggleWordCount(v), getState: (v) => isWordCount(v) },
+        { label: 'Outline', handler: (v) => toggleOutline(v), getState: (v) => isOutline(v) },
         { label: 'Properties', handler: (v) => toggleFrontmatterSheet(v), getState: (v) => isFrontmatterSheet(v) },
         { type: 'separator' },
         { type: 'action', label: 'Find & Replace', handler: (v) => actions.replace(v) },
+        { type: 'action', label: 'Fold all', handler: (v) => actions.foldAll(v) },
+        { type: 'action', label: 'Fold to H2', handler: (v) => actions.foldToLevel(v, 2) },
+        { type: 'action', label: 'Unfold all', handler: (v) => actions.unfoldAll(v) },
+        { type: 'action', label: 'Copy block link', handler: (v) => actions.copyBlockReference(v) },
+        { type: 'action', label: 'Rename Project Plan → Roadmap', handler: (v) => renameWikiLinkTarget(v, 'Project Plan', 'Roadmap') },
+        { type: 'action', label: 'CSV block → table', handler: (v) => actions.csvToTable(v) },
+        { type: 'action', label: 'Table → CSV block', handler: (v) => actions.tableToCsv(v) },
+        { type: 'action', label: 'Export HTML', handler: (v) => downloadHtml(v) },
       ],
     }),
   ],
@@ -126,6 +272,9 @@ const view = new EditorView({
   state,
   parent: editorContainer,
 });
+// For the end-to-end tests
+window.__view = view;
+window.__lib = { EditorState, EditorView, hybridMarkdown, getFoldState, restoreFoldState, exportHtml };
 
 // Move selection to the italic/bold/strikethrough line and focus
 // Only if we loaded the example content
@@ -1,5 +1,11 @@
 import { undo, redo } from '@codemirror/commands';
 import { openSearchPanel, selectNextOccurrence as cmSelectNextOccurrence, selectSelectionMatches as cmSelectSelectionMatches } from '@codemirror/search';
+import { blockRangesField, getCodeBlockContent } from './hybrid-preview.js';
+import { delimitedToPipeTable, pipeTableToDelimited } from '../utils/csv.js';
+import { getTableCellAtCursor, runTableCommand } from './table-commands.js';
+import { moveSectionUp, moveSectionDown, shiftSectionLevel } from './sections.js';
+import { foldAll, unfoldAll, foldToLevel } from './fold-state.js';
+import { copyBlockReference } from './block-references.js';
 
 function focusReplaceField(view) {
   requestAnimationFrame(() => {
@@ -12,6 +18,39 @@ function focusReplaceField(view) {
   });
 }
 
+const DELIMITERS = { csv: ',', tsv: '\t' };
+
+/**
+ * Find the block range in `ranges` that contains the cursor line
+ */
+function findRangeAtCursor(view, ranges) {
+  const lineNumber = view.state.doc.lineAt(view.state.selection.main.head).number;
+  return ranges.find((range) => lineNumber >= range.start && lineNumber <= range.end) || null;
+}
+
+/**
+ * Replace the lines of a block range, putting the cursor at its start
+ */
+function replaceBlock(view, range, text) {
+  const from = view.state.doc.line(range.start).from;
+  const to = view.state.doc.line(range.end).to;
+  view.dispatch({
+    changes: { from, to, insert: text },
+    selection: { anchor: from },
+  });
+}
+
+/**
+ * Run a table command on the cell under the cursor and keep the cursor in
+ * the resulting cell. Returns false when the cursor is not in a table or the
+ * command does not apply.
+ */
+function tableCommand(view, name, arg) {
+  const { tables } = view.state.field(blockRangesField);
+  const cell = getTableCellAtCursor(view.state, tables);
+  return cell ? runTableCommand(view, cell, name, arg, { select: true }) : false;
+}
+
 /**
  * Wrap selected text with prefix and suffix
  */
@@ -304,6 +343,92 @@ flowchart LR
     });
   },
 
+  /**
+   * Convert the ```csv / ```tsv block under the cursor to a pipe table.
+   * Returns false when the cursor is not in such a block.
+   */
+  csvToTable(view) {
+    const { codeBlocks } = view.state.field(blockRangesField);
+    const range = findRangeAtCursor(view, codeBlocks);
+    const delimiter = range ? DELIMITERS[range.language.split(/\s+/)[0]] : undefined;
+    if (!delimiter) return false;
+
+    const lines = delimitedToPipeTable(getCodeBlockContent(view.state.doc, range), delimiter);
+    if (lines.length === 0) return false;
+
+    replaceBlock(view, range, lines.join('\n'));
+    return true;
+  },
+
+  /**
+   * Convert the pipe table under the cursor to a ```csv block
+   * (or ```tsv when `delimiter` is a tab). Column alignment is dropped.
+   * Returns false when the cursor is not in a table.
+   */
+  tableToCsv(view, delimiter = ',') {
+    const { tables } = view.state.field(blockRangesField);
+    const range = findRangeAtCursor(view, tables);
+    if (!range) return false;
+
+    const lines = [];
+    for (let i = range.start; i <= range.end; i++) {
+      lines.push(view.state.doc.line(i).text);
+    }
+    const language = delimiter === '\t' ? 'tsv' : 'csv';
+    replaceBlock(view, range, `\`\`\`${language}\n${pipeTableToDelimited(lines, delimiter)}\n\`\`\``);
+    return true;
+  },
+
+  // Table structure commands (cursor in a pipe table; false otherwise)
+
+  insertTableRowAbove(view) {
+    return tableCommand(view, 'insertRowAbove');
+  },
+
+  insertTableRowBelow(view) {
+    return tableCommand(view, 'insertRowBelow');
+  },
+
+  deleteTableRow(view) {
+    return tableCommand(view, 'deleteRow');
+  },
+
+  insertTableColumnLeft(view) {
+    return tableCommand(view, 'insertColumnLeft');
+  },
+
+  insertTableColumnRight(view) {
+    return tableCommand(view, 'insertColumnRight');
+  },
+
+  deleteTableColumn(view) {
+    return tableCommand(view, 'deleteColumn');
+  },
+
+  moveTableColumnLeft(view) {
+    return tableCommand(view, 'moveColumnLeft');
+  },
+
+  moveTableColumnRight(view) {
+    return tableCommand(view, 'moveColumnRight');
+  },
+
+  /**
+   * Set the alignment of the column under the cursor
+   * @param {'left'|'center'|'right'|null} align - null removes the alignment
+   */
+  alignTableColumn(view, align) {
+    return tableCommand(view, 'alignColumn', align);
+  },
+
+  /**
+   * Sort the table body by the column under the cursor
+   * @param {'asc'|'desc'} [direction='asc']
+   */
+  sortTable(view, direction = 'asc') {
+    return tableCommand(view, 'sortRows', direction);
+  },
+
   emoji(view) {
     const { from } = view.state.selection.main;
     view.dispatch({
@@ -311,4 +436,65 @@ flowchart LR
       selection: { anchor: from + 1, head: from + 6 },
     });
   },
+
+  /**
+   * Swap the section under the cursor with its previous sibling heading.
+   * Returns false when there is no section or no sibling to swap with.
+   */
+  moveSectionUp(view) {
+    const { headings } = view.state.field(blockRangesField);
+    return moveSectionUp(view, headings);
+  },
+
+  /**
+   * Swap the section under the cursor with its next sibling heading.
+   * Returns false when there is no section or no sibling to swap with.
+   */
+  moveSectionDown(view) {
+    const { headings } = view.state.field(blockRangesField);
+    return moveSectionDown(view, headings);
+  },
+
+  /**
+   * Raise the section under the cursor one level (H3 -> H2), nested headings
+   * included. Returns false if any heading would go above H1.
+   */
+  promoteSection(view) {
+    const { headings } = view.state.field(blockRangesField);
+    return shiftSectionLevel(view, headings, -1);
+  },
+
+  /**
+   * Lower the section under the cursor one level (H2 -> H3), nested headings
+   * included. Returns false if any heading would go below H6.
+   */
+  demoteSection(view) {
+    const { headings } = view.state.field(blockRangesField);
+    return shiftSectionLevel(view, headings, 1);
+  },
+
+  foldAll(view) {
+    return foldAll(view);
+  },
+
+  unfoldAll(view) {
+    return unfoldAll(view);
+  },
+
+  /**
+   * Fold every section at `level` or deeper, expanding shallower headings
+   */
+  foldToLevel(view, level) {
+    return foldToLevel(view, level);
+  },
+
+  /**
+   * Give the paragraph or list item under the cursor a `^block-id` (reusing
+   * an existing one) and copy a `[[Note#^block-id]]` link to the clipboard.
+   * Resolves to the link, or false when the cursor is not in such a block or
+   * the clipboard write fails.
+   */
+  copyBlockReference(view) {
+    return copyBlockReference(view);
+  },
 };
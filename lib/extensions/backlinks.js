@@ -23,7 +23,7 @@ export const backlinksFacet = Facet.define({
 /**
  * Extract the title from YAML frontmatter in the document
  */
-function extractFrontmatterTitle(doc) {
+export function extractFrontmatterTitle(doc) {
   if (doc.lines < 2) return null;
   const firstLine = doc.line(1).text.trim();
   if (firstLine !== '---') return null;
@@ -0,0 +1,106 @@
+/**
+ * Block References
+ *
+ * Obsidian-style block IDs: a `^block-id` marker at the end of a paragraph or
+ * list item names that block, so other notes can link to it with
+ * `[[Note#^block-id]]` (or embed it with `![[Note#^block-id]]`).
+ *
+ * copyBlockReference gives the block under the cursor an ID (reusing the one
+ * it already has) and copies a link to it.
+ */
+
+import { blockRangesField } from './hybrid-preview.js';
+import { backlinksFacet, extractFrontmatterTitle } from './backlinks.js';
+import { parseBlockId, parseHeading } from '../utils/markdown.js';
+
+const LIST_ITEM_REGEX = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+/**
+ * Generate a block ID that is not used in the document yet
+ * @param {string} text - Document text
+ * @returns {string}
+ */
+export function generateBlockId(text) {
+  const used = new Set();
+  for (const line of text.split('\n')) {
+    const id = parseBlockId(line);
+    if (id) used.add(id);
+  }
+
+  let id;
+  do {
+    id = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+  } while (used.has(id));
+  return id;
+}
+
+/**
+ * Whether a line is part of a block that cannot carry an ID
+ * (frontmatter, code, math, tables)
+ */
+function isExcludedLine(ranges, lineNumber) {
+  return ranges.frontmatterLines.has(lineNumber)
+    || ranges.codeBlockLines.has(lineNumber)
+    || ranges.mathBlockLines.has(lineNumber)
+    || ranges.tableLines.has(lineNumber);
+}
+
+/**
+ * Last line of the paragraph or list item containing `lineNumber`: the block
+ * continues until a blank line, a heading or the next list item
+ * @returns {number}
+ */
+function findBlockEnd(state, ranges, lineNumber) {
+  const { doc } = state;
+  let end = lineNumber;
+  while (end < doc.lines) {
+    const next = doc.line(end + 1).text;
+    if (!next.trim() || parseHeading(next) || LIST_ITEM_REGEX.test(next) || isExcludedLine(ranges, end + 1)) break;
+    end++;
+  }
+  return end;
+}
+
+/**
+ * Title of the edited note, from docTitle or the frontmatter
+ */
+function getDocumentTitle(state) {
+  return state.facet(backlinksFacet).docTitle || extractFrontmatterTitle(state.doc) || '';
+}
+
+/**
+ * Give the block under the cursor a `^block-id` (unless it has one) and copy
+ * a `[[Note#^block-id]]` link to it. The note title comes from docTitle or
+ * the frontmatter; without one the link is `[[#^block-id]]`.
+ * @param {EditorView} view
+ * @returns {Promise<string|false>} The link once it is copied, or false when
+ *   the cursor is not in a paragraph or list item or the clipboard write fails
+ */
+export async function copyBlockReference(view) {
+  const { state } = view;
+  const ranges = state.field(blockRangesField);
+  const line = state.doc.lineAt(state.selection.main.head);
+
+  if (!line.text.trim() || parseHeading(line.text) || isExcludedLine(ranges, line.number)) return false;
+
+  const endLine = state.doc.line(findBlockEnd(state, ranges, line.number));
+  let id = parseBlockId(endLine.text);
+
+  if (!id) {
+    if (state.readOnly) return false;
+    id = generateBlockId(state.doc.toString());
+    const insertAt = endLine.from + endLine.text.trimEnd().length;
+    view.dispatch({
+      changes: { from: insertAt, to: endLine.to, insert: ` ^${id}` },
+      userEvent: 'input',
+    });
+  }
+
+  const link = `[[${getDocumentTitle(state)}#^${id}]]`;
+  try {
+    await navigator.clipboard.writeText(link);
+  } catch {
+    return false;
+  }
+  return link;
+}
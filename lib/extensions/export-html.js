@@ -0,0 +1,270 @@
+/**
+ * Standalone HTML Export
+ *
+ * Renders the whole document the way the hybrid preview shows it when no line
+ * is focused, using the same renderers and class names as the preview widgets:
+ * - Lines go through renderMarkdownLine (headings, lists, custom tasks, ...)
+ * - Code blocks are syntax highlighted, mermaid blocks rendered to SVG,
+ *   custom `blockRenderers` blocks serialized from the DOM they return
+ * - Math, tables, footnotes, definition lists and callouts use their block renderers
+ * - Image sources go through the `resolveImageUrl` option, as in the preview
+ * - Note embeds are loaded through `resolveEmbed` and exported expanded
+ * - Optionally inlines the base + light/dark theme CSS so the output matches the editor
+ *
+ * Frontmatter is left out (its title is used as the document title) and
+ * collapsed headings are exported expanded.
+ */
+
+import katex from 'katex';
+import mermaid from 'mermaid';
+import {
+  blockRangesField,
+  getDocumentBlocks,
+  getPreviewRenderOptions,
+  getBlockRenderer,
+  getCodeBlockContent,
+  CustomBlockWidget,
+  resolveImageSrc,
+  renderNoteEmbed,
+  resolveCalloutType,
+  CALLOUT_CONFIG,
+} from './hybrid-preview.js';
+import { extractFrontmatterTitle } from './backlinks.js';
+import {
+  escapeHtml,
+  renderMarkdownLine,
+  renderInline,
+  renderBlockMath,
+  renderTable,
+  renderFootnoteBlock,
+  renderDefinitionList,
+} from '../utils/markdown.js';
+import { highlightCode } from '../utils/syntax-highlight.js';
+import { baseThemeStyles, baseKeyframes } from '../theme/base.js';
+import { lightThemeStyles } from '../theme/light.js';
+import { darkThemeStyles } from '../theme/dark.js';
+
+/**
+ * Scope class standing in for the editor's generated theme class
+ */
+const EXPORT_SCOPE = '.cm-editor';
+
+/**
+ * Convert a camelCase style property to CSS (WebkitAppearance -> -webkit-appearance)
+ */
+function toCssProperty(name) {
+  return name.replace(/[A-Z]/g, (c) => '-' + c.toLowerCase());
+}
+
+/**
+ * Serialize an EditorView.theme() style spec to CSS, scoped like CodeMirror
+ * scopes it: `&` becomes the editor, other selectors are nested inside it.
+ */
+function styleSpecToCss(spec, scope = EXPORT_SCOPE) {
+  const rules = [];
+  for (const [selector, props] of Object.entries(spec)) {
+    const scoped = selector
+      .split(',')
+      .map((part) => part.trim())
+      .map((part) => (part.includes('&') ? part.replace(/&/g, scope) : `${scope} ${part}`))
+      .join(', ');
+    const body = Object.entries(props)
+      .map(([name, value]) => `${toCssProperty(name)}: ${value};`)
+      .join(' ');
+    rules.push(`${scoped} { ${body} }`);
+  }
+  return rules.join('\n');
+}
+
+function getThemeClass(theme) {
+  return theme === 'dark' ? 'cm-export-dark' : 'cm-export-light';
+}
+
+/**
+ * Build the CSS for the given theme. Theme rules are scoped to the theme
+ * class, the way CodeMirror scopes them to the theme's generated class.
+ */
+function buildThemeCss(theme) {
+  return [
+    'body { margin: 0; }',
+    baseKeyframes,
+    styleSpecToCss(baseThemeStyles),
+    styleSpecToCss(theme === 'dark' ? darkThemeStyles : lightThemeStyles, `${EXPORT_SCOPE}.${getThemeClass(theme)}`),
+  ].join('\n');
+}
+
+function lineHtml(inner, className = 'cm-line') {
+  return `<div class="${className}">${inner || '<br>'}</div>`;
+}
+
+/**
+ * Render a mermaid block to SVG (same error output as the preview widget)
+ */
+async function renderMermaid(content) {
+  const id = 'mermaid-' + Math.random().toString(36).substr(2, 9);
+  try {
+    const { svg } = await mermaid.render(id, content);
+    return svg;
+  } catch (e) {
+    return `<pre class="mermaid-error">${escapeHtml(e.message || String(e))}</pre>`;
+  }
+}
+
+/**
+ * Render a callout. Foldable callouts become <details> so they still fold
+ * without the editor's event handlers.
+ */
+function renderCallout(lines, range, renderOptions) {
+  const resolved = resolveCalloutType(range.type);
+  const config = CALLOUT_CONFIG[resolved];
+  const displayTitle = range.title || resolved.charAt(0).toUpperCase() + resolved.slice(1);
+  const title = `${config.icon}<span>${renderInline(displayTitle, renderOptions)}</span>`;
+
+  let content = '';
+  if (lines.length > 1) {
+    const paragraphs = lines.slice(1).map((line) => {
+      const text = line.replace(/^>\s?/, '');
+      return `<p>${text.trim() ? renderInline(text, renderOptions) : '&nbsp;'}</p>`;
+    });
+    content = `<div class="cm-callout-content">${paragraphs.join('')}</div>`;
+  }
+
+  const style = `--callout-color: ${config.color}`;
+  if (range.foldable) {
+    const open = range.defaultOpen ? ' open' : '';
+    return `<details class="cm-callout-preview" style="${style}"${open}><summary class="cm-callout-title">${title}</summary>${content}</details>`;
+  }
+  return `<div class="cm-callout-preview" style="${style}"><div class="cm-callout-title">${title}</div>${content}</div>`;
+}
+
+/**
+ * Render the document body (the lines inside .cm-content)
+ */
+async function renderBody(view) {
+  const { state } = view;
+  const { line: lineOptions, block: blockOptions } = getPreviewRenderOptions(state);
+  const parts = [];
+
+  for (const { type, range, image, embed, lines } of getDocumentBlocks(state)) {
+    if (type === 'mermaid') {
+      parts.push(lineHtml(`<div class="cm-mermaid-preview">${await renderMermaid(lines.slice(1, -1).join('\n'))}</div>`));
+    } else if (type === 'custom') {
+      // Same wrapper and error output as the preview widget
+      const render = getBlockRenderer(state, range);
+      const content = getCodeBlockContent(state.doc, range);
+      const widget = new CustomBlockWidget(render, range.language.split(/\s+/)[0], range.language, content, 0, 0);
+      parts.push(lineHtml(widget.toDOM(view).outerHTML));
+    } else if (type === 'code') {
+      // Fences are hidden in the preview once the block has content
+      const hasContent = range.end - range.start > 1;
+      lines.forEach((text, index) => {
+        const isFence = index === 0 || index === lines.length - 1;
+        if (isFence && hasContent) return;
+        const inner = isFence ? escapeHtml(text) : `<span class="cm-highlighted-code">${highlightCode(text, range.language)}</span>`;
+        parts.push(lineHtml(text ? inner : '', 'cm-line cm-code-block-line'));
+      });
+    } else if (type === 'math') {
+      parts.push(lineHtml(`<div class="cm-math-preview">${renderBlockMath(lines.slice(1, -1).join('\n'))}</div>`));
+    } else if (type === 'table') {
+      parts.push(lineHtml(`<div class="cm-table-preview">${renderTable(lines, blockOptions)}</div>`));
+    } else if (type === 'footnote') {
+      parts.push(lineHtml(`<div class="cm-footnote-preview">${renderFootnoteBlock(range.id, lines, blockOptions)}</div>`));
+    } else if (type === 'definitionList') {
+      parts.push(lineHtml(`<div class="cm-definition-list-preview">${renderDefinitionList(lines, blockOptions)}</div>`));
+    } else if (type === 'callout') {
+      parts.push(lineHtml(renderCallout(lines, range, blockOptions)));
+    } else if (type === 'image') {
+      const alt = escapeHtml(image.alt);
+      const src = await resolveImageSrc(view, image.url, { alt: image.alt, embed: image.embed });
+      const size = [image.width && `width: ${image.width}px`, image.height && `height: ${image.height}px`].filter(Boolean);
+      const style = size.length ? ` style="${size.join('; ')}"` : '';
+      const title = image.title ? ` title="${escapeHtml(image.title)}"` : '';
+      const caption = image.title
+        ? `<span class="cm-image-caption">${escapeHtml(image.title)}</span>`
+        : (image.alt ? `<span class="cm-image-alt">${alt}</span>` : '');
+      parts.push(lineHtml(`<div class="cm-image-preview"><span class="cm-image-frame"><img src="${escapeHtml(src)}" alt="${alt}"${title}${style} loading="lazy"></span>${caption}</div>`));
+    } else if (type === 'embed') {
+      parts.push(lineHtml((await renderNoteEmbed(view, embed)).outerHTML));
+    } else if (type === 'empty') {
+      parts.push(lineHtml(''));
+    } else {
+      parts.push(lineHtml(`<span class="cm-markdown-preview">${renderMarkdownLine(lines[0], lineOptions)}</span>`));
+    }
+  }
+
+  return resolveDeferredImages(view, parts.join('\n'));
+}
+
+/**
+ * Give images rendered with a deferred source (`data-src`, used when the
+ * editor has a resolveImageUrl option) their resolved `src`
+ */
+async function resolveDeferredImages(view, html) {
+  if (!html.includes('data-src=')) return html;
+
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  await Promise.all(Array.from(template.content.querySelectorAll('img[data-src]'), async (img) => {
+    const context = { alt: img.alt, embed: img.classList.contains('md-image-embed') };
+    img.src = await resolveImageSrc(view, img.dataset.src, context);
+    img.removeAttribute('data-src');
+  }));
+  return template.innerHTML;
+}
+
+/**
+ * Export the document as a standalone HTML page that mirrors the hybrid preview
+ *
+ * @param {EditorView} view - The editor view
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (defaults to frontmatter `title`, then the first heading)
+ * @param {'light'|'dark'} [options.theme='light'] - Theme whose CSS is inlined
+ * @param {boolean} [options.inlineCss=false] - Inline the base and theme CSS in a <style> tag
+ * @param {string|false} [options.katexStylesheet] - KaTeX stylesheet URL added when the document has math (false to omit)
+ * @returns {Promise<string>} Complete HTML document
+ */
+export async function exportHtml(view, options = {}) {
+  const {
+    theme = 'light',
+    inlineCss = false,
+    katexStylesheet = `https://cdn.jsdelivr.net/npm/katex@${katex.version}/dist/katex.min.css`,
+  } = options;
+
+  const { state } = view;
+  const { headings } = state.field(blockRangesField);
+  const title = options.title ?? extractFrontmatterTitle(state.doc) ?? headings[0]?.text ?? '';
+
+  const html = await renderBody(view);
+  const usesMath = html.includes('class="katex');
+
+  const head = [
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(title)}</title>`,
+  ];
+  if (usesMath && katexStylesheet) {
+    head.push(`<link rel="stylesheet" href="${escapeHtml(katexStylesheet)}">`);
+  }
+  if (inlineCss) {
+    head.push(`<style>\n${buildThemeCss(theme)}\n</style>`);
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    ...head,
+    '</head>',
+    '<body>',
+    `<div class="cm-editor cm-export ${getThemeClass(theme)}">`,
+    '<div class="cm-scroller">',
+    '<div class="cm-content">',
+    html,
+    '</div>',
+    '</div>',
+    '</div>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,171 @@
+/**
+ * Heading Fold State & Bulk Fold Commands
+ *
+ * collapsedHeadingsField tracks folds by line number, which is meaningless once
+ * the document is reloaded or edited elsewhere. These helpers translate folds
+ * to and from a JSON-friendly list keyed by heading text and heading ID
+ * (`## Title [#id]`), so an app can store them per note and restore them later.
+ *
+ * foldAll / unfoldAll / foldToLevel dispatch toggleCollapseEffect in bulk
+ * (one transaction) for reviewing long documents.
+ */
+
+import { EditorView } from '@codemirror/view';
+import {
+  blockRangesField,
+  collapsedHeadingsField,
+  enableCollapseFacet,
+  setCollapsedHeadingsEffect,
+  toggleCollapseEffect,
+} from './hybrid-preview.js';
+
+/**
+ * Serialize the collapsed headings of a state
+ * @returns {Array<{text: string, id: string|null, level: number}>}
+ */
+function serializeFolds(state) {
+  const collapsed = state.field(collapsedHeadingsField, false);
+  if (!collapsed || collapsed.size === 0) return [];
+
+  const { headings } = state.field(blockRangesField);
+  return headings
+    .filter((heading) => collapsed.has(heading.line))
+    .map((heading) => ({ text: heading.text, id: heading.id || null, level: heading.level }));
+}
+
+/**
+ * Get the current fold state in a form that survives reloads
+ * @param {EditorView} view - The editor view
+ * @returns {Array<{text: string, id: string|null, level: number}>} Collapsed headings in document order
+ */
+export function getFoldState(view) {
+  return serializeFolds(view.state);
+}
+
+/**
+ * Restore a fold state produced by getFoldState(), replacing the current folds.
+ * Entries match headings by ID first, then by text (level is ignored so folds
+ * survive promote/demote). Duplicate texts are matched in document order.
+ * Entries that no longer match any heading are skipped.
+ *
+ * @param {EditorView} view - The editor view
+ * @param {Array<{text: string, id?: string|null}>} foldState - Saved fold state
+ */
+export function restoreFoldState(view, foldState) {
+  const { headings } = view.state.field(blockRangesField);
+  const used = new Set();
+  const lines = [];
+
+  for (const entry of Array.isArray(foldState) ? foldState : []) {
+    if (!entry) continue;
+
+    let match = null;
+    if (entry.id) {
+      match = headings.find((h) => h.id === entry.id && !used.has(h.line));
+    }
+    if (!match && typeof entry.text === 'string') {
+      match = headings.find((h) => h.text === entry.text && !used.has(h.line));
+    }
+
+    if (match) {
+      used.add(match.line);
+      lines.push(match.line);
+    }
+  }
+
+  view.dispatch({ effects: setCollapsedHeadingsEffect.of(lines) });
+}
+
+/**
+ * Create an update listener that reports fold changes.
+ * Fires when headings are folded/unfolded and when an edit changes which
+ * headings are folded (e.g. a folded heading is renamed or deleted).
+ *
+ * @param {(foldState: Array<{text: string, id: string|null, level: number}>) => void} onFoldChange
+ * @returns {Extension}
+ */
+export function foldChangeListener(onFoldChange) {
+  return EditorView.updateListener.of((update) => {
+    const before = update.startState.field(collapsedHeadingsField, false);
+    const after = update.state.field(collapsedHeadingsField, false);
+    if (before === after) return;
+
+    // Line remapping creates a new Set on every edit; only report real changes
+    const previous = serializeFolds(update.startState);
+    const next = serializeFolds(update.state);
+    if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+    onFoldChange(next);
+  });
+}
+
+/**
+ * Dispatch one transaction toggling every heading whose collapsed state
+ * differs from `shouldCollapse(heading)`
+ * @returns {boolean} False when collapsing is disabled
+ */
+function applyFolds(view, shouldCollapse) {
+  const { state } = view;
+  if (!state.facet(enableCollapseFacet)) return false;
+
+  const collapsed = state.field(collapsedHeadingsField, false);
+  if (!collapsed) return false;
+
+  const { headings } = state.field(blockRangesField);
+  const effects = [];
+  for (const heading of headings) {
+    const want = heading.endLine > heading.line && shouldCollapse(heading);
+    if (want !== collapsed.has(heading.line)) {
+      effects.push(toggleCollapseEffect.of(heading.line));
+    }
+  }
+
+  if (effects.length > 0) {
+    view.dispatch({ effects });
+  }
+  return true;
+}
+
+/**
+ * Collapse every heading that has content under it
+ * @param {EditorView} view - The editor view
+ * @returns {boolean} False when collapsing is disabled
+ */
+export function foldAll(view) {
+  return applyFolds(view, () => true);
+}
+
+/**
+ * Expand every collapsed heading
+ * @param {EditorView} view - The editor view
+ * @returns {boolean} False when collapsing is disabled
+ */
+export function unfoldAll(view) {
+  return applyFolds(view, () => false);
+}
+
+/**
+ * Show headings down to `level` and collapse everything below them: the
+ * outermost headings at `level` or deeper are folded, shallower ones expanded.
+ * Nested headings inside a fold are expanded so unfolding reveals them fully.
+ *
+ * @param {EditorView} view - The editor view
+ * @param {number} level - Heading level (1-6)
+ * @returns {boolean} False when collapsing is disabled
+ */
+export function foldToLevel(view, level) {
+  const { headings } = view.state.field(blockRangesField);
+  // End line of the fold we're currently inside (its nested headings stay open)
+  let foldedUntil = 0;
+  const toFold = new Set();
+
+  for (const heading of headings) {
+    if (heading.line <= foldedUntil) continue;
+    if (heading.level >= level && heading.endLine > heading.line) {
+      toFold.add(heading.line);
+      foldedUntil = heading.endLine;
+    }
+  }
+
+  return applyFolds(view, (heading) => toFold.has(heading.line));
+}
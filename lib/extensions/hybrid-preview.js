@@ -38,8 +38,11 @@
 
 import { EditorView, Decoration, WidgetType, ViewPlugin } from '@codemirror/view';
 import { StateField, StateEffect, Facet } from '@codemirror/state';
+import { invertedEffects } from '@codemirror/commands';
 import yaml from 'js-yaml';
 import { allowReadOnlyEdit } from './read-only.js';
+import { addSectionDragSource, addSectionDropTarget } from './sections.js';
+import { backlinksFacet, extractFrontmatterTitle } from './backlinks.js';
 import {
   renderMarkdownLine,
   renderTable,
@@ -47,15 +50,27 @@ import {
   renderFootnoteBlock,
   renderDefinitionList,
   renderInline,
+  createMarkdownRenderer,
   CUSTOM_TASK_TYPES,
   findWikiLinks,
   findTags,
+  parseHeading,
+  parseImageAlt,
+  parseImageEmbedAlias,
+  isImageFile,
+  extractSection,
+  extractBlock,
+  stripFrontmatter,
+  renderDocument,
 } from '../utils/markdown.js';
+import { renderDelimitedTable } from '../utils/csv.js';
+import { parseTable, formatTable, getCell, setCell, insertRow } from '../utils/table.js';
+import { showTableMenu, runTableCommand } from './table-commands.js';
 
 /**
  * Callout/admonition configuration: type → { icon (SVG string), color (hex) }
  */
-const CALLOUT_CONFIG = {
+export const CALLOUT_CONFIG = {
   note: {
     icon: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 1 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>',
     color: '#448aff',
@@ -117,7 +132,7 @@ const CALLOUT_ALIASES = {
   cite: 'quote',
 };
 
-function resolveCalloutType(type) {
+export function resolveCalloutType(type) {
   const lower = type.toLowerCase();
   const canonical = CALLOUT_ALIASES[lower] || lower;
   return CALLOUT_CONFIG[canonical] ? canonical : 'note';
@@ -126,7 +141,7 @@ function resolveCalloutType(type) {
 /**
  * Facet to configure whether collapse functionality is enabled
  */
-const enableCollapseFacet = Facet.define({
+export const enableCollapseFacet = Facet.define({
   combine(values) {
     return values.length > 0 ? values[values.length - 1] : true;
   },
@@ -177,7 +192,7 @@ const customTasksFacet = Facet.define({
   },
 });
 
-function buildWikiLinksConfig(enableWikiLinks, renderWikiLinks, onWikiLinkClick) {
+function buildWikiLinksConfig(enableWikiLinks, renderWikiLinks, onWikiLinkClick, noteIndex, onCreateNote) {
   const enabled = enableWikiLinks === true;
   const render = enabled && renderWikiLinks !== false;
   const handler = typeof onWikiLinkClick === 'function' ? onWikiLinkClick : null;
@@ -185,18 +200,36 @@ function buildWikiLinksConfig(enableWikiLinks, renderWikiLinks, onWikiLinkClick)
     enableWikiLinks: enabled,
     renderWikiLinks: render,
     onWikiLinkClick: handler,
+    noteIndex: noteIndex && typeof noteIndex.resolve === 'function' ? noteIndex : null,
+    onCreateNote: typeof onCreateNote === 'function' ? onCreateNote : null,
   };
 }
 
 const wikiLinksFacet = Facet.define({
   combine(values) {
     if (values.length === 0) {
-      return buildWikiLinksConfig(false, false, null);
+      return buildWikiLinksConfig(false, false, null, null, null);
     }
     return values[values.length - 1];
   },
 });
 
+/**
+ * Note index that rendered wiki links were styled against. Widgets keep it so
+ * that a new index (e.g. after onCreateNote) redraws missing links.
+ */
+function getNoteIndex(state) {
+  return state.facet(wikiLinksFacet).noteIndex;
+}
+
+/**
+ * Whether an update swapped the wiki link configuration (a reconfigure with a
+ * new noteIndex, for instance)
+ */
+function wikiLinksChanged(update) {
+  return update.startState.facet(wikiLinksFacet) !== update.state.facet(wikiLinksFacet);
+}
+
 function buildTagsConfig(enableTags, onTagClick) {
   const enabled = enableTags === true;
   const handler = typeof onTagClick === 'function' ? onTagClick : null;
@@ -212,6 +245,93 @@ const tagsFacet = Facet.define({
   },
 });
 
+/**
+ * Per-editor markdown-it instance built from the `markdownPlugins` option
+ * (null to use the shared instance)
+ */
+export const markdownFacet = Facet.define({
+  combine(values) {
+    return values.length > 0 ? values[values.length - 1] : null;
+  },
+});
+
+/**
+ * `resolveImageUrl(src, context)` option mapping image sources written in
+ * the document to loadable URLs (null when unset)
+ */
+export const imageResolverFacet = Facet.define({
+  combine(values) {
+    return values.length > 0 ? values[values.length - 1] : null;
+  },
+});
+
+/**
+ * `resolveEmbed(link)` option loading the markdown of notes embedded with
+ * `![[Note]]` (null when unset, which leaves embeds as links)
+ */
+export const embedResolverFacet = Facet.define({
+  combine(values) {
+    return values.length > 0 ? values[values.length - 1] : null;
+  },
+});
+
+/**
+ * Instances are cached per plugins array so switching modes, which rebuilds
+ * the preview configuration, keeps the same instance
+ */
+const markdownRendererCache = new WeakMap();
+
+function getMarkdownRenderer(markdownPlugins) {
+  if (!Array.isArray(markdownPlugins) || markdownPlugins.length === 0) return null;
+  let renderer = markdownRendererCache.get(markdownPlugins);
+  if (!renderer) {
+    renderer = createMarkdownRenderer(markdownPlugins);
+    markdownRendererCache.set(markdownPlugins, renderer);
+  }
+  return renderer;
+}
+
+/**
+ * Render options the preview passes to the markdown renderers: `line` for
+ * single-line widgets, `block` for table/footnote/definition-list/callout
+ * widgets. Lets HTML export render exactly what the editor shows.
+ */
+export function getPreviewRenderOptions(state) {
+  const customTasksConfig = state.facet(customTasksFacet);
+  const wikiLinksConfig = state.facet(wikiLinksFacet);
+  const tagsConfig = state.facet(tagsFacet);
+  const md = state.facet(markdownFacet);
+  const resolveImages = state.facet(imageResolverFacet) !== null;
+  return {
+    line: {
+      ...customTasksConfig,
+      enableWikiLinks: wikiLinksConfig.renderWikiLinks,
+      noteIndex: wikiLinksConfig.noteIndex,
+      enableTags: tagsConfig.enableTags,
+      resolveImages,
+      md,
+    },
+    block: {
+      enableWikiLinks: wikiLinksConfig.renderWikiLinks,
+      noteIndex: wikiLinksConfig.noteIndex,
+      resolveImages,
+      md,
+    },
+  };
+}
+
+/**
+ * Wiki link and tag click handlers configured for the preview (null when unset)
+ */
+export function getPreviewClickHandlers(state) {
+  const { onWikiLinkClick, onCreateNote } = state.facet(wikiLinksFacet);
+  return {
+    onWikiLinkClick,
+    onCreateNote,
+    onTagClick: state.facet(tagsFacet).onTagClick,
+  };
+}
+
 function getListTaskToken(content, config) {
   const match = content.match(TASK_TOKEN_REGEX);
   if (!match) return null;
@@ -237,16 +357,45 @@ function replaceTaskToken(content, nextToken) {
   return content.replace(TASK_TOKEN_REGEX, `$1[${nextToken}]`);
 }
 
-function getWikiLinkData(element) {
+/**
+ * Wiki link data from a rendered link's `data-wikilink` attributes
+ */
+export function getWikiLinkData(element) {
   return {
     raw: element.getAttribute('data-wikilink') || '',
     title: element.getAttribute('data-wikilink-title') || '',
     section: element.getAttribute('data-wikilink-section') || '',
     alias: element.getAttribute('data-wikilink-alias') || '',
+    block: element.getAttribute('data-wikilink-block') || '',
     display: element.textContent || '',
   };
 }
 
+/**
+ * Click action for a rendered wiki link: `onCreateNote(title)` for links
+ * the note index cannot resolve, otherwise `onWikiLinkClick(link)`.
+ * @returns {Function|null} Null when no handler applies
+ */
+function getWikiLinkClickHandler(config, element) {
+  if (!element) return null;
+  if (config.onCreateNote && element.classList.contains('md-wikilink-missing')) {
+    return () => config.onCreateNote(element.getAttribute('data-wikilink-title') || '');
+  }
+  if (config.onWikiLinkClick) {
+    return () => config.onWikiLinkClick(getWikiLinkData(element));
+  }
+  return null;
+}
+
+/**
+ * Whether a wiki link target is absent from the configured note index
+ * (never true without an index)
+ */
+function isWikiLinkMissing(state, title) {
+  const { noteIndex } = state.facet(wikiLinksFacet);
+  return Boolean(noteIndex && title && !noteIndex.resolve(title));
+}
+
 // ============================================================================
 // HEADING COLLAPSE STATE
 // ============================================================================
@@ -256,6 +405,40 @@ function getWikiLinkData(element) {
  */
 export const toggleCollapseEffect = StateEffect.define();
 
+/**
+ * StateEffect to replace the whole set of collapsed heading lines
+ */
+export const setCollapsedHeadingsEffect = StateEffect.define();
+
+/**
+ * StateEffect restoring the fold of the heading line starting at a position
+ */
+const restoreCollapseEffect = StateEffect.define({
+  map: (pos, mapping) => mapping.mapPos(pos),
+});
+
+/**
+ * An edit that deletes a folded heading or removes its `#` drops the fold.
+ * Undoing the edit brings the fold back.
+ */
+const restoreDroppedFolds = invertedEffects.of((tr) => {
+  if (!tr.docChanged) return [];
+
+  const before = tr.startState.field(collapsedHeadingsField, false);
+  const after = tr.state.field(collapsedHeadingsField, false);
+  if (!before || !after) return [];
+
+  const effects = [];
+  for (const lineNum of before) {
+    if (lineNum > tr.startState.doc.lines) continue;
+    const from = tr.startState.doc.line(lineNum).from;
+    if (!after.has(tr.newDoc.lineAt(tr.changes.mapPos(from)).number)) {
+      effects.push(restoreCollapseEffect.of(from));
+    }
+  }
+  return effects;
+});
+
 /**
  * StateField that tracks which headings are collapsed.
  * Stores a Set of line numbers (1-based) that are collapsed.
@@ -267,10 +450,12 @@ export const collapsedHeadingsField = StateField.define({
   update(collapsed, tr) {
     let newCollapsed = collapsed;
 
-    // Handle toggle effects
+    // Handle set/toggle effects (several may arrive in one transaction)
     for (const effect of tr.effects) {
-      if (effect.is(toggleCollapseEffect)) {
-        newCollapsed = new Set(collapsed);
+      if (effect.is(setCollapsedHeadingsEffect)) {
+        newCollapsed = new Set(effect.value);
+      } else if (effect.is(toggleCollapseEffect)) {
+        newCollapsed = new Set(newCollapsed);
         if (newCollapsed.has(effect.value)) {
           newCollapsed.delete(effect.value);
         } else {
@@ -300,8 +485,19 @@ export const collapsedHeadingsField = StateField.define({
       newCollapsed = adjustedSet;
     }
 
+    // Positions refer to the new document
+    for (const effect of tr.effects) {
+      if (effect.is(restoreCollapseEffect) && effect.value <= tr.newDoc.length) {
+        const line = tr.newDoc.lineAt(effect.value);
+        if (/^#{1,6}\s/.test(line.text)) {
+          newCollapsed = new Set(newCollapsed).add(line.number);
+        }
+      }
+    }
+
     return newCollapsed;
   },
+  provide: () => restoreDroppedFolds,
 });
 import { highlightCode } from '../utils/syntax-highlight.js';
 import mermaid from 'mermaid';
@@ -327,25 +523,22 @@ mermaid.initialize({
  * Widget that renders a markdown line as HTML
  * Handles click events to position cursor correctly
  */
-class MarkdownPreviewWidget extends WidgetType {
-  constructor(content, lineFrom, lineTo) {
+export class MarkdownPreviewWidget extends WidgetType {
+  constructor(content, lineFrom, lineTo, noteIndex = null) {
     super();
     this.content = content;
     this.lineFrom = lineFrom;
     this.lineTo = lineTo;
+    this.noteIndex = noteIndex;
   }
 
   toDOM(view) {
     const wrapper = document.createElement('span');
     wrapper.className = 'cm-markdown-preview';
-    const customTasksConfig = view.state.facet(customTasksFacet);
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
     const tagsConfig = view.state.facet(tagsFacet);
-    wrapper.innerHTML = renderMarkdownLine(this.content, {
-      ...customTasksConfig,
-      enableWikiLinks: wikiLinksConfig.renderWikiLinks,
-      enableTags: tagsConfig.enableTags,
-    });
+    wrapper.innerHTML = renderMarkdownLine(this.content, getPreviewRenderOptions(view.state).line);
+    prepareRenderedImages(view, wrapper);
 
     // Store references for click handler
     const lineFrom = this.lineFrom;
@@ -407,11 +600,11 @@ class MarkdownPreviewWidget extends WidgetType {
       }
 
       // Check if clicked on a wiki link (only if handler provided)
-      const wikiLink = e.target.closest('[data-wikilink]');
-      if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+      const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
         e.preventDefault();
         e.stopPropagation();
-        wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+        onWikiLink();
         return;
       }
 
@@ -488,7 +681,8 @@ class MarkdownPreviewWidget extends WidgetType {
   eq(other) {
     return other.content === this.content &&
            other.lineFrom === this.lineFrom &&
-           other.lineTo === this.lineTo;
+           other.lineTo === this.lineTo &&
+           other.noteIndex === this.noteIndex;
   }
 
   ignoreEvent(event) {
@@ -501,8 +695,9 @@ class MarkdownPreviewWidget extends WidgetType {
  * Widget that renders a heading with a collapse toggle button
  */
 class HeadingPreviewWidget extends WidgetType {
-  constructor(content, lineFrom, lineTo, lineNumber, level, isCollapsed, hasContent) {
+  constructor(content, lineFrom, lineTo, lineNumber, level, isCollapsed, hasContent, noteIndex = null) {
     super();
+    this.noteIndex = noteIndex;
     this.content = content;
     this.lineFrom = lineFrom;
     this.lineTo = lineTo;
@@ -516,6 +711,20 @@ class HeadingPreviewWidget extends WidgetType {
     const wrapper = document.createElement('span');
     wrapper.className = 'cm-markdown-preview cm-heading-preview';
 
+    // Drag handle for reordering the whole section (heading + content)
+    const handle = document.createElement('span');
+    handle.className = 'cm-section-drag-handle';
+    handle.textContent = '⠿';
+    handle.title = 'Drag to move section';
+    // Let the native drag start, but keep the editor from moving the cursor
+    handle.addEventListener('mousedown', (e) => {
+      e.stopPropagation();
+    });
+    addSectionDragSource(handle, this.lineNumber);
+    wrapper.appendChild(handle);
+
+    addSectionDropTarget(wrapper, view, this.lineNumber, (state) => state.field(blockRangesField).headings);
+
     // Create collapse toggle button (only if heading has content)
     if (this.hasContent) {
       const toggle = document.createElement('span');
@@ -549,14 +758,10 @@ class HeadingPreviewWidget extends WidgetType {
 
     // Render the heading content
     const headingContent = document.createElement('span');
-    const customTasksConfig = view.state.facet(customTasksFacet);
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
     const tagsConfig = view.state.facet(tagsFacet);
-    headingContent.innerHTML = renderMarkdownLine(this.content, {
-      ...customTasksConfig,
-      enableWikiLinks: wikiLinksConfig.renderWikiLinks,
-      enableTags: tagsConfig.enableTags,
-    });
+    headingContent.innerHTML = renderMarkdownLine(this.content, getPreviewRenderOptions(view.state).line);
+    prepareRenderedImages(view, headingContent);
     wrapper.appendChild(headingContent);
 
     // Store references for click handler
@@ -576,11 +781,11 @@ class HeadingPreviewWidget extends WidgetType {
       }
 
       // Check if clicked on a wiki link (only if handler provided)
-      const wikiLink = e.target.closest('[data-wikilink]');
-      if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+      const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
         e.preventDefault();
         e.stopPropagation();
-        wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+        onWikiLink();
         return;
       }
 
@@ -631,7 +836,8 @@ class HeadingPreviewWidget extends WidgetType {
            other.lineFrom === this.lineFrom &&
            other.lineTo === this.lineTo &&
            other.isCollapsed === this.isCollapsed &&
-           other.hasContent === this.hasContent;
+           other.hasContent === this.hasContent &&
+           other.noteIndex === this.noteIndex;
   }
 
   ignoreEvent(event) {
@@ -934,7 +1140,7 @@ function buildLineSet(ranges) {
 /**
  * Compute heading ranges - for each heading, determine which lines belong to it
  * A heading's content extends until the next heading of equal or higher level
- * @returns {Array<{line: number, level: number, endLine: number}>}
+ * @returns {Array<{line: number, level: number, endLine: number, text: string, id: string|null}>}
  */
 function computeHeadingRanges(doc, codeBlockLines) {
   const headings = [];
@@ -944,12 +1150,14 @@ function computeHeadingRanges(doc, codeBlockLines) {
     if (codeBlockLines.has(i)) continue;
 
     const line = doc.line(i);
-    const match = line.text.match(/^(#{1,6})\s+/);
-    if (match) {
+    const heading = parseHeading(line.text);
+    if (heading) {
       headings.push({
         line: i,
-        level: match[1].length,
+        level: heading.level,
         endLine: doc.lines, // Will be adjusted in second pass
+        text: heading.text.trim(),
+        id: heading.id,
       });
     }
   }
@@ -1058,10 +1266,81 @@ function computeBlockRanges(doc) {
   };
 }
 
+/**
+ * Split the document into the units the preview renders: one entry per block
+ * (code, mermaid, custom, math, table, footnote, definitionList, callout) and one per
+ * remaining line (image, embed, empty, line). Frontmatter is skipped.
+ * Read mode and HTML export use this to walk the document like the preview does.
+ *
+ * @param {EditorState} state
+ * @returns {Array<{type: string, range: Object|null, image: Object|null, embed: Object|null, start: number, end: number, from: number, to: number, lines: string[]}>}
+ */
+export function getDocumentBlocks(state) {
+  const { doc } = state;
+  const blockRanges = state.field(blockRangesField);
+  const renderEmbeds = state.facet(embedResolverFacet) !== null;
+
+  // Index block ranges by start line so each block is emitted once
+  const blocksByStart = new Map();
+  for (const range of blockRanges.codeBlocks) {
+    let type = range.language === 'mermaid' ? 'mermaid' : 'code';
+    if (getBlockRenderer(state, range)) type = 'custom';
+    blocksByStart.set(range.start, { type, range });
+  }
+  for (const range of blockRanges.mathBlocks) blocksByStart.set(range.start, { type: 'math', range });
+  for (const range of blockRanges.tables) blocksByStart.set(range.start, { type: 'table', range });
+  for (const range of blockRanges.footnoteBlocks) blocksByStart.set(range.start, { type: 'footnote', range });
+  for (const range of blockRanges.definitionLists) blocksByStart.set(range.start, { type: 'definitionList', range });
+  for (const range of blockRanges.calloutBlocks) blocksByStart.set(range.start, { type: 'callout', range });
+
+  const blocks = [];
+  let i = blockRanges.frontmatter ? blockRanges.frontmatter.end + 1 : 1;
+
+  while (i <= doc.lines) {
+    const block = blocksByStart.get(i);
+    const end = block ? block.range.end : i;
+
+    const lines = [];
+    for (let j = i; j <= end; j++) {
+      lines.push(doc.line(j).text);
+    }
+
+    let type = block ? block.type : 'line';
+    let image = null;
+    let embed = null;
+    if (!block) {
+      image = parseImageLine(lines[0]);
+      embed = image || !renderEmbeds ? null : parseNoteEmbedLine(lines[0]);
+      if (image) {
+        type = 'image';
+      } else if (embed) {
+        type = 'embed';
+      } else if (!lines[0].trim()) {
+        type = 'empty';
+      }
+    }
+
+    blocks.push({
+      type,
+      range: block ? block.range : null,
+      image,
+      embed,
+      start: i,
+      end,
+      from: doc.line(i).from,
+      to: doc.line(end).to,
+      lines,
+    });
+    i = end + 1;
+  }
+
+  return blocks;
+}
+
 /**
  * Widget that renders a math block
  */
-class MathBlockWidget extends WidgetType {
+export class MathBlockWidget extends WidgetType {
   constructor(content, mathFrom, mathTo) {
     super();
     this.content = content;
@@ -1102,7 +1381,7 @@ class MathBlockWidget extends WidgetType {
 /**
  * Widget that renders a mermaid diagram
  */
-class MermaidBlockWidget extends WidgetType {
+export class MermaidBlockWidget extends WidgetType {
   constructor(content, mermaidFrom, mermaidTo) {
     super();
     this.content = content;
@@ -1153,37 +1432,176 @@ class MermaidBlockWidget extends WidgetType {
 }
 
 
+// ============================================================================
+// INTERACTIVE TABLE EDITING
+// ============================================================================
+
+/**
+ * Open an input over one cell of a rendered table.
+ *
+ * The edit is committed on blur, Tab / Shift-Tab (move to the next / previous
+ * cell, adding a row after the last one) and Enter (add a row below). The
+ * whole table is rewritten as an aligned pipe table in a single transaction.
+ * Not offered in read-only mode, like the table context menu. Escape cancels. The rewrite replaces the widget, so the next cell is
+ * opened on the new DOM once the transaction is applied.
+ *
+ * @param {EditorView} view
+ * @param {HTMLElement} wrapper - The .cm-table-preview element
+ * @param {string[]} lines - Source lines of the rendered table
+ * @param {number} row - Row index (0 = header)
+ * @param {number} col - Column index
+ */
+function editTableCell(view, wrapper, lines, row, col) {
+  const table = parseTable(lines);
+  const cell = wrapper.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+  if (!table || !cell || cell.querySelector('input')) return;
+
+  const original = getCell(table, row, col);
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'cm-table-cell-input';
+  input.value = original;
+  cell.classList.add('cm-table-cell-editing');
+  cell.replaceChildren(input);
+
+  let done = false;
+  const restore = () => {
+    cell.classList.remove('cm-table-cell-editing');
+    cell.innerHTML = renderInline(original, getPreviewRenderOptions(view.state).block);
+    prepareRenderedImages(view, cell);
+  };
+
+  // next: { row, col, addRow } or null to stop editing
+  const commit = (next) => {
+    if (done) return;
+    done = true;
+
+    // Leaving a cell untouched must not reformat the table
+    if (input.value.trim() === original.trim() && !next?.addRow) {
+      restore();
+      if (next) editTableCell(view, wrapper, lines, next.row, next.col);
+      return;
+    }
+
+    let updated = setCell(table, row, col, input.value.trim());
+    if (next?.addRow) updated = insertRow(updated, next.row);
+
+    const newLines = formatTable(updated);
+    const source = lines.join('\n');
+    const insert = newLines.join('\n');
+
+    if (insert === source) {
+      restore();
+      if (next) editTableCell(view, wrapper, lines, next.row, next.col);
+      return;
+    }
+
+    // Widgets are reused when only their position changes, so look it up now
+    const from = view.state.doc.lineAt(view.posAtDOM(wrapper)).from;
+    if (view.state.doc.sliceString(from, from + source.length) !== source) {
+      restore();
+      return;
+    }
+
+    view.dispatch({
+      changes: { from, to: from + source.length, insert },
+    });
+
+    if (next) {
+      for (const preview of view.contentDOM.querySelectorAll('.cm-table-preview')) {
+        if (view.posAtDOM(preview) === from) {
+          editTableCell(view, preview, newLines, next.row, next.col);
+          break;
+        }
+      }
+    }
+  };
+
+  input.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    const lastRow = table.rows.length;
+    const lastCol = table.header.length - 1;
+
+    if (e.key === 'Tab' && !e.shiftKey) {
+      e.preventDefault();
+      if (col < lastCol) commit({ row, col: col + 1 });
+      else if (row < lastRow) commit({ row: row + 1, col: 0 });
+      else commit({ row: row + 1, col: 0, addRow: true });
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      if (col > 0) commit({ row, col: col - 1 });
+      else if (row > 0) commit({ row: row - 1, col: lastCol });
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      commit({ row: row + 1, col, addRow: true });
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      done = true;
+      restore();
+      view.focus();
+    }
+  });
+  input.addEventListener('blur', () => commit(null));
+  input.addEventListener('mousedown', (e) => e.stopPropagation());
+
+  input.focus();
+  input.select();
+}
+
 /**
  * Widget that renders a complete table
  */
-class TableWidget extends WidgetType {
-  constructor(rows, tableFrom, tableTo) {
+export class TableWidget extends WidgetType {
+  constructor(rows, tableFrom, tableTo, noteIndex = null) {
     super();
     this.rows = rows;
     this.tableFrom = tableFrom;
     this.tableTo = tableTo;
+    this.noteIndex = noteIndex;
   }
 
   toDOM(view) {
     const wrapper = document.createElement('div');
     wrapper.className = 'cm-table-preview';
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
-    wrapper.innerHTML = renderTable(this.rows, { enableWikiLinks: wikiLinksConfig.renderWikiLinks });
+    wrapper.innerHTML = renderTable(this.rows, getPreviewRenderOptions(view.state).block);
+    prepareRenderedImages(view, wrapper);
 
     const tableFrom = this.tableFrom;
+    const rows = this.rows;
+
+    // Well-formed tables get editable cells
+    const editable = parseTable(rows) !== null;
+    if (editable) {
+      wrapper.querySelectorAll('tr').forEach((tr, rowIndex) => {
+        tr.querySelectorAll('th, td').forEach((cell, colIndex) => {
+          cell.dataset.row = String(rowIndex);
+          cell.dataset.col = String(colIndex);
+        });
+      });
+    }
 
     wrapper.addEventListener('mousedown', (e) => {
-      const wikiLink = e.target.closest('[data-wikilink]');
-      if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+      const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
         e.preventDefault();
         e.stopPropagation();
-        wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+        onWikiLink();
         return;
       }
 
       e.preventDefault();
       e.stopPropagation();
 
+      const cell = e.target.closest('[data-row]');
+      if (editable && cell && !view.state.readOnly) {
+        // Right clicks open the context menu instead
+        if (e.button === 0) {
+          editTableCell(view, wrapper, rows, Number(cell.dataset.row), Number(cell.dataset.col));
+        }
+        return;
+      }
+
       // Position cursor at start of table
       view.dispatch({
         selection: { anchor: tableFrom },
@@ -1192,10 +1610,37 @@ class TableWidget extends WidgetType {
       view.focus();
     });
 
+    wrapper.addEventListener('contextmenu', (e) => {
+      const cell = e.target.closest('[data-row]');
+      // Structural edits are not offered in read-only mode
+      if (!editable || !cell || view.state.readOnly) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      const row = Number(cell.dataset.row);
+      const col = Number(cell.dataset.col);
+      showTableMenu(view, {
+        lines: rows,
+        row,
+        col,
+        x: e.clientX,
+        y: e.clientY,
+        onCommand(name, arg) {
+          // Widgets are reused when only their position changes, so look it up now
+          const from = view.state.doc.lineAt(view.posAtDOM(wrapper)).from;
+          const source = rows.join('\n');
+          if (view.state.doc.sliceString(from, from + source.length) !== source) return;
+          runTableCommand(view, { from, lines: rows, row, col }, name, arg);
+        },
+      });
+    });
+
     return wrapper;
   }
 
   eq(other) {
+    if (other.noteIndex !== this.noteIndex) return false;
     // Fast array comparison without JSON.stringify
     if (other.rows.length !== this.rows.length) return false;
     for (let i = 0; i < this.rows.length; i++) {
@@ -1212,29 +1657,31 @@ class TableWidget extends WidgetType {
 /**
  * Widget that renders a footnote definition block
  */
-class FootnoteBlockWidget extends WidgetType {
-  constructor(id, lines, from, to) {
+export class FootnoteBlockWidget extends WidgetType {
+  constructor(id, lines, from, to, noteIndex = null) {
     super();
     this.id = id;
     this.lines = lines;
     this.from = from;
     this.to = to;
+    this.noteIndex = noteIndex;
   }
 
   toDOM(view) {
     const wrapper = document.createElement('div');
     wrapper.className = 'cm-footnote-preview';
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
-    wrapper.innerHTML = renderFootnoteBlock(this.id, this.lines, { enableWikiLinks: wikiLinksConfig.renderWikiLinks });
+    wrapper.innerHTML = renderFootnoteBlock(this.id, this.lines, getPreviewRenderOptions(view.state).block);
+    prepareRenderedImages(view, wrapper);
 
     const from = this.from;
 
     wrapper.addEventListener('mousedown', (e) => {
-      const wikiLink = e.target.closest('[data-wikilink]');
-      if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+      const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
         e.preventDefault();
         e.stopPropagation();
-        wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+        onWikiLink();
         return;
       }
 
@@ -1272,6 +1719,7 @@ class FootnoteBlockWidget extends WidgetType {
 
   eq(other) {
     if (other.id !== this.id) return false;
+    if (other.noteIndex !== this.noteIndex) return false;
     if (other.lines.length !== this.lines.length) return false;
     for (let i = 0; i < this.lines.length; i++) {
       if (other.lines[i] !== this.lines[i]) return false;
@@ -1287,28 +1735,30 @@ class FootnoteBlockWidget extends WidgetType {
 /**
  * Widget that renders a definition list block
  */
-class DefinitionListWidget extends WidgetType {
-  constructor(lines, from, to) {
+export class DefinitionListWidget extends WidgetType {
+  constructor(lines, from, to, noteIndex = null) {
     super();
     this.lines = lines;
     this.from = from;
     this.to = to;
+    this.noteIndex = noteIndex;
   }
 
   toDOM(view) {
     const wrapper = document.createElement('div');
     wrapper.className = 'cm-definition-list-preview';
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
-    wrapper.innerHTML = renderDefinitionList(this.lines, { enableWikiLinks: wikiLinksConfig.renderWikiLinks });
+    wrapper.innerHTML = renderDefinitionList(this.lines, getPreviewRenderOptions(view.state).block);
+    prepareRenderedImages(view, wrapper);
 
     const from = this.from;
 
     wrapper.addEventListener('mousedown', (e) => {
-      const wikiLink = e.target.closest('[data-wikilink]');
-      if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+      const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
         e.preventDefault();
         e.stopPropagation();
-        wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+        onWikiLink();
         return;
       }
 
@@ -1326,6 +1776,7 @@ class DefinitionListWidget extends WidgetType {
   }
 
   eq(other) {
+    if (other.noteIndex !== this.noteIndex) return false;
     if (other.lines.length !== this.lines.length) return false;
     for (let i = 0; i < this.lines.length; i++) {
       if (other.lines[i] !== this.lines[i]) return false;
@@ -1341,9 +1792,10 @@ class DefinitionListWidget extends WidgetType {
 /**
  * Widget that renders a callout/admonition block
  */
-class CalloutBlockWidget extends WidgetType {
-  constructor(lines, type, title, foldable, defaultOpen, blockFrom, blockTo) {
+export class CalloutBlockWidget extends WidgetType {
+  constructor(lines, type, title, foldable, defaultOpen, blockFrom, blockTo, noteIndex = null) {
     super();
+    this.noteIndex = noteIndex;
     this.lines = lines;
     this.type = type;
     this.title = title;
@@ -1357,7 +1809,7 @@ class CalloutBlockWidget extends WidgetType {
     const resolved = resolveCalloutType(this.type);
     const config = CALLOUT_CONFIG[resolved];
     const wikiLinksConfig = view.state.facet(wikiLinksFacet);
-    const renderOptions = { enableWikiLinks: wikiLinksConfig.renderWikiLinks };
+    const renderOptions = getPreviewRenderOptions(view.state).block;
 
     const wrapper = document.createElement('div');
     wrapper.className = 'cm-callout-preview';
@@ -1384,6 +1836,8 @@ class CalloutBlockWidget extends WidgetType {
       p.innerHTML = lineText.trim() ? renderInline(lineText, renderOptions) : '&nbsp;';
       content.appendChild(p);
     }
+    prepareRenderedImages(view, titleText);
+    prepareRenderedImages(view, content);
 
     // Fold chevron
     if (this.foldable) {
@@ -1418,11 +1872,11 @@ class CalloutBlockWidget extends WidgetType {
     // Click to edit — only on content area (title bar may have fold handler)
     if (!this.foldable) {
       wrapper.addEventListener('mousedown', (e) => {
-        const wikiLink = e.target.closest('[data-wikilink]');
-        if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+        const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+        if (onWikiLink) {
           e.preventDefault();
           e.stopPropagation();
-          wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+          onWikiLink();
           return;
         }
 
@@ -1436,11 +1890,11 @@ class CalloutBlockWidget extends WidgetType {
       });
     } else {
       content.addEventListener('mousedown', (e) => {
-        const wikiLink = e.target.closest('[data-wikilink]');
-        if (wikiLink && wikiLinksConfig.onWikiLinkClick) {
+        const onWikiLink = getWikiLinkClickHandler(wikiLinksConfig, e.target.closest('[data-wikilink]'));
+        if (onWikiLink) {
           e.preventDefault();
           e.stopPropagation();
-          wikiLinksConfig.onWikiLinkClick(getWikiLinkData(wikiLink));
+          onWikiLink();
           return;
         }
 
@@ -1462,6 +1916,7 @@ class CalloutBlockWidget extends WidgetType {
     if (other.title !== this.title) return false;
     if (other.foldable !== this.foldable) return false;
     if (other.defaultOpen !== this.defaultOpen) return false;
+    if (other.noteIndex !== this.noteIndex) return false;
     if (other.lines.length !== this.lines.length) return false;
     for (let i = 0; i < this.lines.length; i++) {
       if (other.lines[i] !== this.lines[i]) return false;
@@ -1511,6 +1966,7 @@ function getHeadingInfo(lineNum, headings) {
 function buildDecorations(view, blockRanges) {
   const { state } = view;
   const hasFocus = view.hasFocus;
+  const renderEmbeds = state.facet(embedResolverFacet) !== null;
   // If editor doesn't have focus, render preview for all lines
   const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
   const {
@@ -1595,6 +2051,11 @@ function buildDecorations(view, blockRanges) {
         continue;
       }
 
+      // Skip note embed lines (handled by noteEmbedDecorations plugin)
+      if (renderEmbeds && parseNoteEmbedLine(content)) {
+        continue;
+      }
+
       // Skip empty lines
       if (!content.trim()) {
         continue;
@@ -1617,7 +2078,8 @@ function buildDecorations(view, blockRanges) {
                 i,
                 headingInfo.level,
                 isCollapsed,
-                hasContent
+                hasContent,
+                getNoteIndex(state)
               ),
               inclusive: false,
               block: false,
@@ -1630,7 +2092,7 @@ function buildDecorations(view, blockRanges) {
       // Create replace decoration for the line content
       decorations.push(
         Decoration.replace({
-          widget: new MarkdownPreviewWidget(content, line.from, line.to),
+          widget: new MarkdownPreviewWidget(content, line.from, line.to, getNoteIndex(state)),
           inclusive: false,
           block: false,
         }).range(line.from, line.to)
@@ -1672,8 +2134,10 @@ function buildWikiLinkDecorations(view, blockRanges) {
 
       const matches = findWikiLinks(line.text);
       for (const match of matches) {
+        const { title, embed } = match.meta;
+        const missing = !(embed && isImageFile(title)) && isWikiLinkMissing(state, title);
         decorations.push(
-          Decoration.mark({ class: 'cm-wikilink' }).range(
+          Decoration.mark({ class: missing ? 'cm-wikilink cm-wikilink-missing' : 'cm-wikilink' }).range(
             line.from + match.from,
             line.from + match.to
           )
@@ -1702,7 +2166,7 @@ const hybridPreviewPlugin = ViewPlugin.fromClass(
       );
 
       // Rebuild on doc changes, selection changes, viewport changes, focus changes, or collapse changes
-      if (update.docChanged || update.selectionSet || update.viewportChanged || update.focusChanged || hasCollapseEffect) {
+      if (update.docChanged || update.selectionSet || update.viewportChanged || update.focusChanged || hasCollapseEffect || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildDecorations(update.view, blockRanges);
       }
@@ -1721,7 +2185,7 @@ const wikiLinkDecorations = ViewPlugin.fromClass(
     }
 
     update(update) {
-      if (update.docChanged || update.selectionSet || update.viewportChanged || update.focusChanged) {
+      if (update.docChanged || update.selectionSet || update.viewportChanged || update.focusChanged || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildWikiLinkDecorations(update.view, blockRanges);
       }
@@ -1798,7 +2262,7 @@ const tagDecorations = ViewPlugin.fromClass(
 /**
  * Widget that renders a syntax-highlighted code line
  */
-class HighlightedCodeWidget extends WidgetType {
+export class HighlightedCodeWidget extends WidgetType {
   constructor(content, language, lineFrom, lineTo) {
     super();
     this.content = content;
@@ -1867,8 +2331,9 @@ function buildCodeBlockDecorations(view, blockRanges) {
   const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
 
   for (const range of codeBlocks) {
+    const hasRenderer = getBlockRenderer(state, range) !== null;
     // Skip mermaid blocks - they're handled separately
-    if (range.language === 'mermaid') {
+    if (range.language === 'mermaid' && !hasRenderer) {
       continue;
     }
     // Check if any line in this code block is focused
@@ -1880,6 +2345,11 @@ function buildCodeBlockDecorations(view, blockRanges) {
       }
     }
 
+    // Unfocused blocks with a custom renderer are handled by customBlockDecorations
+    if (hasRenderer && !blockFocused) {
+      continue;
+    }
+
     // Check if block has content lines (not just fences)
     const hasContent = range.end - range.start > 1;
 
@@ -1977,7 +2447,7 @@ function buildTableDecorations(view, blockRanges) {
       // Replace first line with widget
       decorations.push(
         Decoration.replace({
-          widget: new TableWidget(rows, firstLine.from, firstLine.to),
+          widget: new TableWidget(rows, firstLine.from, firstLine.to, getNoteIndex(state)),
         }).range(firstLine.from, firstLine.to)
       );
 
@@ -2003,7 +2473,7 @@ const tableDecorations = ViewPlugin.fromClass(
     }
 
     update(update) {
-      if (update.docChanged || update.selectionSet || update.focusChanged) {
+      if (update.docChanged || update.selectionSet || update.focusChanged || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildTableDecorations(update.view, blockRanges);
       }
@@ -2051,7 +2521,7 @@ function buildFootnoteBlockDecorations(view, blockRanges) {
 
       decorations.push(
         Decoration.replace({
-          widget: new FootnoteBlockWidget(range.id, lines, firstLine.from, firstLine.to),
+          widget: new FootnoteBlockWidget(range.id, lines, firstLine.from, firstLine.to, getNoteIndex(state)),
         }).range(firstLine.from, firstLine.to)
       );
 
@@ -2076,7 +2546,7 @@ const footnoteBlockDecorations = ViewPlugin.fromClass(
     }
 
     update(update) {
-      if (update.docChanged || update.selectionSet || update.focusChanged) {
+      if (update.docChanged || update.selectionSet || update.focusChanged || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildFootnoteBlockDecorations(update.view, blockRanges);
       }
@@ -2124,7 +2594,7 @@ function buildDefinitionListDecorations(view, blockRanges) {
 
       decorations.push(
         Decoration.replace({
-          widget: new DefinitionListWidget(lines, firstLine.from, firstLine.to),
+          widget: new DefinitionListWidget(lines, firstLine.from, firstLine.to, getNoteIndex(state)),
         }).range(firstLine.from, firstLine.to)
       );
 
@@ -2149,7 +2619,7 @@ const definitionListDecorations = ViewPlugin.fromClass(
     }
 
     update(update) {
-      if (update.docChanged || update.selectionSet || update.focusChanged) {
+      if (update.docChanged || update.selectionSet || update.focusChanged || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildDefinitionListDecorations(update.view, blockRanges);
       }
@@ -2197,7 +2667,7 @@ function buildCalloutBlockDecorations(view, blockRanges) {
         Decoration.replace({
           widget: new CalloutBlockWidget(
             lines, range.type, range.title, range.foldable, range.defaultOpen,
-            firstLine.from, firstLine.to
+            firstLine.from, firstLine.to, getNoteIndex(state)
           ),
         }).range(firstLine.from, firstLine.to)
       );
@@ -2223,7 +2693,7 @@ const calloutBlockDecorations = ViewPlugin.fromClass(
     }
 
     update(update) {
-      if (update.docChanged || update.selectionSet || update.focusChanged) {
+      if (update.docChanged || update.selectionSet || update.focusChanged || wikiLinksChanged(update)) {
         const blockRanges = update.state.field(blockRangesField);
         this.decorations = buildCalloutBlockDecorations(update.view, blockRanges);
       }
@@ -2326,6 +2796,10 @@ function buildMermaidBlockDecorations(view, blockRanges) {
   const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
 
   for (const range of mermaidBlocks) {
+    // A custom `mermaid` renderer replaces the built-in one
+    if (getBlockRenderer(state, range)) {
+      continue;
+    }
     // Check if any line in this mermaid block is focused
     let mermaidFocused = false;
     for (let j = range.start; j <= range.end; j++) {
@@ -2393,65 +2867,121 @@ const mermaidBlockDecorations = ViewPlugin.fromClass(
 );
 
 // ============================================================================
-// INLINE IMAGE PREVIEW
+// CUSTOM BLOCK RENDERERS
 // ============================================================================
 
-const IMAGE_LINE_REGEX = /^!\[([^\]]*)\]\(([^)]+)\)$/;
+/**
+ * Render ```csv / ```tsv blocks with the same markup as pipe tables
+ */
+function createDelimitedTableRenderer(delimiter) {
+  return (content) => {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cm-table-preview';
+    wrapper.innerHTML = renderDelimitedTable(content, delimiter);
+    return wrapper;
+  };
+}
+
+const BUILT_IN_BLOCK_RENDERERS = {
+  csv: createDelimitedTableRenderer(','),
+  tsv: createDelimitedTableRenderer('\t'),
+};
 
 /**
- * Check if a line contains only an image markdown syntax
- * @returns {{ alt: string, url: string } | null}
+ * Fenced-language → render function map from the `blockRenderers` option
  */
-function parseImageLine(text) {
-  const match = text.trim().match(IMAGE_LINE_REGEX);
-  if (!match) return null;
-  return { alt: match[1], url: match[2].trim() };
+const blockRenderersFacet = Facet.define({
+  combine(values) {
+    return values.length > 0 ? values[values.length - 1] : BUILT_IN_BLOCK_RENDERERS;
+  },
+});
+
+/**
+ * Merge user renderers over the built-in ones (null/false disables a built-in)
+ */
+function normalizeBlockRenderers(blockRenderers) {
+  const renderers = { ...BUILT_IN_BLOCK_RENDERERS };
+  if (!blockRenderers || typeof blockRenderers !== 'object') return renderers;
+  for (const [language, render] of Object.entries(blockRenderers)) {
+    if (typeof render === 'function') {
+      renderers[language] = render;
+    } else if (render === null || render === false) {
+      delete renderers[language];
+    }
+  }
+  return renderers;
 }
 
 /**
- * Widget that renders an image preview
+ * Get the custom renderer registered for a code block, matched on the first
+ * word of its info string (```chart title="Sales" → `chart`)
+ * @returns {Function|null}
+ */
+export function getBlockRenderer(state, range) {
+  const language = range.language.split(/\s+/)[0];
+  if (!language) return null;
+  const renderers = state.facet(blockRenderersFacet);
+  return Object.prototype.hasOwnProperty.call(renderers, language) ? renderers[language] : null;
+}
+
+/**
+ * Content lines of a code block (without fences; unclosed blocks keep their last line)
+ */
+export function getCodeBlockContent(doc, range) {
+  const closed = range.end > range.start && doc.line(range.end).text.startsWith('```');
+  const lines = [];
+  for (let i = range.start + 1; i <= (closed ? range.end - 1 : range.end); i++) {
+    lines.push(doc.line(i).text);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Widget that renders a fenced block with a custom `blockRenderers` function
  */
-class ImagePreviewWidget extends WidgetType {
-  constructor(alt, url, lineFrom, lineTo) {
+export class CustomBlockWidget extends WidgetType {
+  constructor(render, language, info, content, blockFrom, blockTo) {
     super();
-    this.alt = alt;
-    this.url = url;
-    this.lineFrom = lineFrom;
-    this.lineTo = lineTo;
+    this.render = render;
+    this.language = language;
+    this.info = info;
+    this.content = content;
+    this.blockFrom = blockFrom;
+    this.blockTo = blockTo;
   }
 
   toDOM(view) {
     const wrapper = document.createElement('div');
-    wrapper.className = 'cm-image-preview';
-
-    const img = document.createElement('img');
-    img.src = this.url;
-    img.alt = this.alt;
-    img.loading = 'lazy';
-
-    img.addEventListener('error', () => {
-      wrapper.textContent = '';
-      const error = document.createElement('div');
-      error.className = 'cm-image-error';
-      error.textContent = `Image not found: ${this.url}`;
+    wrapper.className = 'cm-custom-block-preview';
+    wrapper.setAttribute('data-language', this.language);
+
+    try {
+      const result = this.render(this.content, {
+        language: this.language,
+        info: this.info,
+        view,
+        from: this.blockFrom,
+        to: this.blockTo,
+      });
+      if (result instanceof Node) {
+        wrapper.appendChild(result);
+      } else if (result != null) {
+        wrapper.textContent = String(result);
+      }
+    } catch (e) {
+      const error = document.createElement('pre');
+      error.className = 'cm-custom-block-error';
+      error.textContent = e && e.message ? e.message : String(e);
       wrapper.appendChild(error);
-    });
-
-    wrapper.appendChild(img);
-
-    if (this.alt) {
-      const altText = document.createElement('span');
-      altText.className = 'cm-image-alt';
-      altText.textContent = this.alt;
-      wrapper.appendChild(altText);
     }
 
-    const lineFrom = this.lineFrom;
     wrapper.addEventListener('mousedown', (e) => {
       e.preventDefault();
       e.stopPropagation();
+
+      // eq() ignores positions, so look the block up from the DOM
       view.dispatch({
-        selection: { anchor: lineFrom },
+        selection: { anchor: view.posAtDOM(wrapper) },
         scrollIntoView: true,
       });
       view.focus();
@@ -2461,7 +2991,9 @@ class ImagePreviewWidget extends WidgetType {
   }
 
   eq(other) {
-    return other.url === this.url && other.alt === this.alt;
+    return other.render === this.render &&
+           other.info === this.info &&
+           other.content === this.content;
   }
 
   ignoreEvent(event) {
@@ -2470,44 +3002,409 @@ class ImagePreviewWidget extends WidgetType {
 }
 
 /**
- * Build decorations for standalone image lines
+ * Build decorations for code blocks that have a custom renderer.
+ * Focused blocks are left to the code block decorations so they edit like code.
  */
-function buildImageDecorations(view, blockRanges) {
+function buildCustomBlockDecorations(view, blockRanges) {
   const { state } = view;
   const hasFocus = view.hasFocus;
   const decorations = [];
+  const { codeBlocks } = blockRanges;
   const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
-  const {
-    frontmatterLines,
-    codeBlockLines,
-    tableLines,
-    mathBlockLines,
-    footnoteBlockLines,
-    definitionListLines,
-    mermaidBlockLines,
-  } = blockRanges;
-
-  for (const { from, to } of view.visibleRanges) {
-    const startLine = state.doc.lineAt(from).number;
-    const endLine = state.doc.lineAt(to).number;
 
-    for (let i = startLine; i <= endLine; i++) {
-      if (focusedLines.has(i)) continue;
-      if (frontmatterLines.has(i)) continue;
-      if (codeBlockLines.has(i)) continue;
-      if (tableLines.has(i)) continue;
-      if (mathBlockLines.has(i)) continue;
-      if (footnoteBlockLines.has(i)) continue;
-      if (definitionListLines.has(i)) continue;
-      if (mermaidBlockLines.has(i)) continue;
+  for (const range of codeBlocks) {
+    const render = getBlockRenderer(state, range);
+    if (!render) continue;
 
-      const line = state.doc.line(i);
+    let blockFocused = false;
+    for (let j = range.start; j <= range.end; j++) {
+      if (focusedLines.has(j)) {
+        blockFocused = true;
+        break;
+      }
+    }
+    if (blockFocused) continue;
+
+    const firstLine = state.doc.line(range.start);
+    const lastLine = state.doc.line(range.end);
+
+    // Replace first line with widget
+    decorations.push(
+      Decoration.replace({
+        widget: new CustomBlockWidget(
+          render,
+          range.language.split(/\s+/)[0],
+          range.language,
+          getCodeBlockContent(state.doc, range),
+          firstLine.from,
+          lastLine.to
+        ),
+      }).range(firstLine.from, firstLine.to)
+    );
+
+    // Hide remaining lines
+    for (let i = range.start + 1; i <= range.end; i++) {
+      const line = state.doc.line(i);
+      decorations.push(
+        Decoration.line({ class: 'cm-hidden-line' }).range(line.from),
+        Decoration.replace({}).range(line.from, line.to)
+      );
+    }
+  }
+
+  return Decoration.set(decorations, true);
+}
+
+const customBlockDecorations = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      const blockRanges = view.state.field(blockRangesField);
+      this.decorations = buildCustomBlockDecorations(view, blockRanges);
+    }
+
+    update(update) {
+      if (update.docChanged || update.selectionSet || update.focusChanged) {
+        const blockRanges = update.state.field(blockRangesField);
+        this.decorations = buildCustomBlockDecorations(update.view, blockRanges);
+      }
+    }
+  },
+  {
+    decorations: (v) => v.decorations,
+  }
+);
+
+// ============================================================================
+// INLINE IMAGE PREVIEW
+// ============================================================================
+
+const IMAGE_LINE_REGEX = /^!\[([^\]]*)\]\(([^)]*?)(?:\s+(?:"([^"]*)"|'([^']*)'))?\s*\)$/;
+
+/**
+ * Smallest width an image can be dragged to
+ */
+const MIN_IMAGE_WIDTH = 32;
+
+/**
+ * Check if a line contains only an image markdown syntax
+ * (`![alt](url)`, with an optional `|width` or `|widthxheight` after the alt
+ * text and an optional `"title"` used as the caption), or only an
+ * Obsidian-style image embed (`![[image.png]]`, `![[image.png|300]]`)
+ * @returns {{ alt: string, url: string, width: number|null, height: number|null, title: string|null, embed: boolean } | null}
+ */
+export function parseImageLine(text) {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('![[')) {
+    const links = findWikiLinks(trimmed);
+    if (links.length !== 1 || links[0].from !== 0 || links[0].to !== trimmed.length) return null;
+    const { meta } = links[0];
+    if (!meta.embed || meta.section || !isImageFile(meta.title)) return null;
+    const { alt, width, height } = parseImageEmbedAlias(meta.alias);
+    return { alt, url: meta.title, width, height, title: null, embed: true };
+  }
+
+  const match = trimmed.match(IMAGE_LINE_REGEX);
+  if (!match || !match[2].trim()) return null;
+
+  const { alt, width, height } = parseImageAlt(match[1]);
+  const title = match[3] ?? match[4] ?? null;
+  return { alt, url: match[2].trim(), width, height, title: title || null, embed: false };
+}
+
+/**
+ * Rewrite the size suffix of an image line, keeping its URL and title
+ * @param {string} text - Image line
+ * @param {number|null} width - New width, or null to drop the size
+ * @param {number|null} [height]
+ * @returns {string}
+ */
+export function setImageLineSize(text, width, height = null) {
+  const image = parseImageLine(text);
+  if (!image) return text;
+  const size = width ? `${width}${height ? `x${height}` : ''}` : '';
+
+  if (image.embed) {
+    const start = text.indexOf('![[');
+    const end = text.lastIndexOf(']]') + 2;
+    const parts = [image.url, image.alt, size].filter(Boolean);
+    return `${text.slice(0, start)}![[${parts.join('|')}]]${text.slice(end)}`;
+  }
+
+  const start = text.indexOf('![') + 2;
+  const end = text.indexOf('](', start);
+  const alt = size ? `${image.alt}|${size}` : image.alt;
+  return text.slice(0, start) + alt + text.slice(end);
+}
+
+/**
+ * Resolve an image source written in the document through the
+ * `resolveImageUrl` option. Resolvers may be async, so this returns the URL
+ * directly when it is known synchronously and a promise otherwise; the
+ * source itself is used when there is no resolver, it returns nothing or it
+ * fails (the image then shows its usual error state if it does not load).
+ * @param {EditorView} view
+ * @param {string} src
+ * @param {{ alt?: string, embed?: boolean }} [context]
+ * @returns {string|Promise<string>}
+ */
+export function resolveImageSrc(view, src, context = {}) {
+  const resolve = view.state.facet(imageResolverFacet);
+  if (!resolve) return src;
+
+  // Async results are cached per resolver so re-rendered widgets don't
+  // resolve the same source again
+  let cache = resolvedImageCache.get(resolve);
+  if (!cache) {
+    cache = new Map();
+    resolvedImageCache.set(resolve, cache);
+  }
+  if (cache.has(src)) return cache.get(src);
+
+  let result;
+  try {
+    result = resolve(src, { alt: context.alt ?? '', embed: context.embed === true, view });
+  } catch {
+    return src;
+  }
+
+  if (result && typeof result.then === 'function') {
+    const promise = Promise.resolve(result).then(
+      (url) => url || src,
+      () => {
+        cache.delete(src);
+        return src;
+      },
+    );
+    cache.set(src, promise);
+    return promise;
+  }
+  return result || src;
+}
+
+const resolvedImageCache = new WeakMap();
+
+/**
+ * Set an image's source, resolving it first
+ */
+function loadImage(view, img, src, context) {
+  const url = resolveImageSrc(view, src, context);
+  if (typeof url === 'string') {
+    img.src = url;
+  } else {
+    url.then((resolved) => {
+      img.src = resolved;
+    });
+  }
+}
+
+/**
+ * Error shown in place of an image that fails to load
+ * @param {string} url
+ * @param {boolean} [inline=false] - Inside rendered text rather than a standalone image line
+ */
+function createImageError(url, inline = false) {
+  const error = document.createElement(inline ? 'span' : 'div');
+  error.className = inline ? 'cm-image-error cm-image-error-inline' : 'cm-image-error';
+  error.textContent = `Image not found: ${url}`;
+  return error;
+}
+
+/**
+ * Prepare images inside rendered markdown: load sources deferred to
+ * resolveImageUrl (`data-src`) and replace images that fail to load with the
+ * same error as standalone images
+ * @param {EditorView} view
+ * @param {HTMLElement} container
+ */
+export function prepareRenderedImages(view, container) {
+  for (const img of container.querySelectorAll('img')) {
+    const src = img.dataset.src ?? img.getAttribute('src') ?? '';
+    img.addEventListener('error', () => {
+      img.replaceWith(createImageError(src, true));
+    });
+    if (img.dataset.src !== undefined) {
+      loadImage(view, img, src, { alt: img.alt, embed: img.classList.contains('md-image-embed') });
+    }
+  }
+}
+
+/**
+ * Widget that renders an image preview
+ */
+export class ImagePreviewWidget extends WidgetType {
+  /**
+   * @param {{ alt: string, url: string, width?: number|null, height?: number|null, title?: string|null, embed?: boolean }} image
+   * @param {number} lineFrom
+   * @param {number} lineTo
+   * @param {Object} [options]
+   * @param {boolean} [options.resizable=true] - Show drag handles that rewrite the size suffix
+   */
+  constructor(image, lineFrom, lineTo, options = {}) {
+    super();
+    this.alt = image.alt;
+    this.url = image.url;
+    this.width = image.width ?? null;
+    this.height = image.height ?? null;
+    this.title = image.title ?? null;
+    this.embed = image.embed === true;
+    this.lineFrom = lineFrom;
+    this.lineTo = lineTo;
+    this.resizable = options.resizable !== false;
+  }
+
+  toDOM(view) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cm-image-preview';
+
+    const frame = document.createElement('span');
+    frame.className = 'cm-image-frame';
+
+    const img = document.createElement('img');
+    img.alt = this.alt;
+    img.loading = 'lazy';
+    if (this.title) img.title = this.title;
+    if (this.width) img.style.width = `${this.width}px`;
+    if (this.height) img.style.height = `${this.height}px`;
+
+    img.addEventListener('error', () => {
+      wrapper.textContent = '';
+      wrapper.appendChild(createImageError(this.url));
+    });
+
+    loadImage(view, img, this.url, { alt: this.alt, embed: this.embed });
+    frame.appendChild(img);
+    wrapper.appendChild(frame);
+
+    if (this.resizable) {
+      for (const side of ['left', 'right']) {
+        const handle = document.createElement('span');
+        handle.className = `cm-image-resize-handle cm-image-resize-${side}`;
+        handle.addEventListener('mousedown', (e) => this.startResize(e, view, wrapper, img, side));
+        frame.appendChild(handle);
+      }
+    }
+
+    // The title is shown as a caption; otherwise the alt text
+    const captionText = this.title || this.alt;
+    if (captionText) {
+      const caption = document.createElement('span');
+      caption.className = this.title ? 'cm-image-caption' : 'cm-image-alt';
+      caption.textContent = captionText;
+      wrapper.appendChild(caption);
+    }
+
+    const lineFrom = this.lineFrom;
+    wrapper.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      view.dispatch({
+        selection: { anchor: lineFrom },
+        scrollIntoView: true,
+      });
+      view.focus();
+    });
+
+    return wrapper;
+  }
+
+  /**
+   * Drag a handle to resize the image, then write the width (and height, if
+   * the line had one, scaled to keep the aspect ratio) into the alt text
+   */
+  startResize(e, view, wrapper, img, side) {
+    // Keep the wrapper from moving the cursor onto the line
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.button !== 0 || view.state.readOnly) return;
+
+    const startX = e.clientX;
+    const startWidth = img.getBoundingClientRect().width;
+    const ratio = this.height && this.width ? this.height / this.width : null;
+    const maxWidth = wrapper.getBoundingClientRect().width || Infinity;
+    let width = Math.round(startWidth);
+
+    wrapper.classList.add('cm-image-resizing');
+
+    const onMove = (event) => {
+      const delta = side === 'left' ? startX - event.clientX : event.clientX - startX;
+      width = Math.round(Math.max(MIN_IMAGE_WIDTH, Math.min(startWidth + delta, maxWidth)));
+      img.style.width = `${width}px`;
+      img.style.height = ratio ? `${Math.round(width * ratio)}px` : '';
+    };
+
+    const onUp = () => {
+      document.removeEventListener('mousemove', onMove);
+      document.removeEventListener('mouseup', onUp);
+      wrapper.classList.remove('cm-image-resizing');
+      if (width === Math.round(startWidth) || view.state.readOnly) return;
+
+      // The widget may have been reused for another position
+      const line = view.state.doc.lineAt(view.posAtDOM(wrapper));
+      const height = ratio ? Math.round(width * ratio) : null;
+      const text = setImageLineSize(line.text, width, height);
+      if (text === line.text) return;
+      view.dispatch({ changes: { from: line.from, to: line.to, insert: text } });
+    };
+
+    document.addEventListener('mousemove', onMove);
+    document.addEventListener('mouseup', onUp);
+  }
+
+  eq(other) {
+    return other.url === this.url
+      && other.alt === this.alt
+      && other.width === this.width
+      && other.height === this.height
+      && other.title === this.title
+      && other.embed === this.embed
+      && other.resizable === this.resizable;
+  }
+
+  ignoreEvent(event) {
+    return event.type !== 'mousedown';
+  }
+}
+
+/**
+ * Build decorations for standalone image lines
+ */
+function buildImageDecorations(view, blockRanges) {
+  const { state } = view;
+  const hasFocus = view.hasFocus;
+  const decorations = [];
+  const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
+  const {
+    frontmatterLines,
+    codeBlockLines,
+    tableLines,
+    mathBlockLines,
+    footnoteBlockLines,
+    definitionListLines,
+    mermaidBlockLines,
+  } = blockRanges;
+
+  for (const { from, to } of view.visibleRanges) {
+    const startLine = state.doc.lineAt(from).number;
+    const endLine = state.doc.lineAt(to).number;
+
+    for (let i = startLine; i <= endLine; i++) {
+      if (focusedLines.has(i)) continue;
+      if (frontmatterLines.has(i)) continue;
+      if (codeBlockLines.has(i)) continue;
+      if (tableLines.has(i)) continue;
+      if (mathBlockLines.has(i)) continue;
+      if (footnoteBlockLines.has(i)) continue;
+      if (definitionListLines.has(i)) continue;
+      if (mermaidBlockLines.has(i)) continue;
+
+      const line = state.doc.line(i);
       const imageData = parseImageLine(line.text);
       if (!imageData) continue;
 
       decorations.push(
         Decoration.replace({
-          widget: new ImagePreviewWidget(imageData.alt, imageData.url, line.from, line.to),
+          widget: new ImagePreviewWidget(imageData, line.from, line.to),
         }).range(line.from, line.to)
       );
     }
@@ -2535,6 +3432,313 @@ const imageDecorations = ViewPlugin.fromClass(
   }
 );
 
+// ============================================================================
+// NOTE EMBEDS (TRANSCLUSION)
+// ============================================================================
+
+/**
+ * How many levels of embeds are rendered (an embed inside an embed is level 2)
+ */
+const MAX_EMBED_DEPTH = 3;
+
+/**
+ * Check if a line contains only a note embed (`![[Note]]`, `![[Note#Section]]`,
+ * `![[Note#^block-id]]`).
+ * Image embeds are handled by parseImageLine.
+ * @returns {{ raw: string, title: string, section: string|null, alias: string|null, display: string, block: string|null, embed: true } | null}
+ */
+export function parseNoteEmbedLine(text) {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('![[')) return null;
+
+  const links = findWikiLinks(trimmed);
+  if (links.length !== 1 || links[0].from !== 0 || links[0].to !== trimmed.length) return null;
+  const { meta } = links[0];
+  if (!meta.embed || !meta.title || isImageFile(meta.title)) return null;
+  return meta;
+}
+
+/**
+ * Key identifying an embed target for the cycle guard
+ */
+function getEmbedKey(title, section = null) {
+  return `${title.trim().toLowerCase()}#${(section || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Label for an embed: its alias, or the title and section
+ */
+function getEmbedLabel(link) {
+  if (link.alias) return link.alias;
+  return link.section ? `${link.title} › ${link.section}` : link.title;
+}
+
+/**
+ * Create the frame of an embedded note: a header with its title and a
+ * content element that loadNoteEmbed fills in
+ */
+function createNoteEmbedFrame(link) {
+  const frame = document.createElement('div');
+  frame.className = 'cm-note-embed';
+
+  const header = document.createElement('div');
+  header.className = 'cm-note-embed-header';
+  header.setAttribute('data-wikilink', link.raw);
+  header.setAttribute('data-wikilink-title', link.title);
+  if (link.section) header.setAttribute('data-wikilink-section', link.section);
+  if (link.alias) header.setAttribute('data-wikilink-alias', link.alias);
+  if (link.block) header.setAttribute('data-wikilink-block', link.block);
+  header.textContent = getEmbedLabel(link);
+
+  const content = document.createElement('div');
+  content.className = 'cm-note-embed-content';
+
+  frame.append(header, content);
+  return { frame, content };
+}
+
+function showEmbedMessage(content, type, message) {
+  content.textContent = '';
+  const note = document.createElement('div');
+  note.className = `cm-note-embed-message cm-note-embed-${type}`;
+  note.textContent = message;
+  content.appendChild(note);
+}
+
+/**
+ * Load an embedded note through resolveEmbed and render it into `content`,
+ * including the embeds it contains. Resolves once everything is rendered.
+ * @param {EditorView} view
+ * @param {Object} link - Wiki link data of the embed
+ * @param {HTMLElement} content
+ * @param {string[]} ancestors - Keys of the documents above this embed
+ * @param {number} [depth=1]
+ */
+async function loadNoteEmbed(view, link, content, ancestors, depth = 1) {
+  const resolveEmbed = view.state.facet(embedResolverFacet);
+  const key = getEmbedKey(link.title, link.section);
+
+  if (ancestors.includes(key)) {
+    showEmbedMessage(content, 'cycle', `Circular embed: ${getEmbedLabel(link)}`);
+    return;
+  }
+  if (depth > MAX_EMBED_DEPTH) {
+    showEmbedMessage(content, 'limit', `Embed depth limit reached: ${getEmbedLabel(link)}`);
+    return;
+  }
+
+  showEmbedMessage(content, 'loading', 'Loading…');
+
+  let markdown;
+  try {
+    markdown = await resolveEmbed(link);
+  } catch {
+    showEmbedMessage(content, 'error', `Could not load ${getEmbedLabel(link)}`);
+    return;
+  }
+
+  if (typeof markdown !== 'string') {
+    showEmbedMessage(content, 'missing', `Note not found: ${link.title}`);
+    // Its header then offers onCreateNote like any missing link
+    content.previousElementSibling?.classList.add('md-wikilink-missing');
+    return;
+  }
+
+  markdown = stripFrontmatter(markdown);
+  if (link.block) {
+    markdown = extractBlock(markdown, link.block);
+    if (markdown === null) {
+      showEmbedMessage(content, 'missing', `Block not found: ${link.title} › ^${link.block}`);
+      return;
+    }
+  } else if (link.section) {
+    markdown = extractSection(markdown, link.section);
+    if (markdown === null) {
+      showEmbedMessage(content, 'missing', `Section not found: ${link.title} › ${link.section}`);
+      return;
+    }
+  }
+
+  const { block } = getPreviewRenderOptions(view.state);
+  content.innerHTML = renderDocument(markdown, {
+    ...block,
+    enableTags: view.state.facet(tagsFacet).enableTags,
+    noteEmbeds: true,
+  });
+  prepareRenderedImages(view, content);
+
+  const nested = Array.from(content.querySelectorAll('.md-note-embed'), (placeholder) => {
+    const nestedLink = findWikiLinks(`!${placeholder.dataset.embed}`)[0]?.meta;
+    if (!nestedLink) return null;
+    const { frame, content: nestedContent } = createNoteEmbedFrame(nestedLink);
+    // An embed on its own line replaces its paragraph rather than nesting in it
+    const parent = placeholder.parentElement;
+    const alone = parent !== content && parent.tagName === 'P' && parent.childNodes.length === 1;
+    (alone ? parent : placeholder).replaceWith(frame);
+    return loadNoteEmbed(view, nestedLink, nestedContent, [...ancestors, key], depth + 1);
+  });
+  await Promise.all(nested);
+}
+
+/**
+ * Cycle guard key of the edited document (from docTitle or frontmatter)
+ */
+function getDocumentEmbedKey(state) {
+  const title = state.facet(backlinksFacet).docTitle || extractFrontmatterTitle(state.doc);
+  return title ? getEmbedKey(title) : null;
+}
+
+/**
+ * Render a note embed and wait until it and its nested embeds are loaded
+ * (used by HTML export)
+ * @param {EditorView} view
+ * @param {Object} link - Wiki link data of the embed
+ * @returns {Promise<HTMLElement>}
+ */
+export async function renderNoteEmbed(view, link) {
+  const { frame, content } = createNoteEmbedFrame(link);
+  const documentKey = getDocumentEmbedKey(view.state);
+  await loadNoteEmbed(view, link, content, documentKey ? [documentKey] : []);
+  return frame;
+}
+
+/**
+ * Widget that renders an embedded note as a read-only block
+ */
+export class NoteEmbedWidget extends WidgetType {
+  constructor(link, lineFrom, lineTo) {
+    super();
+    this.link = link;
+    this.lineFrom = lineFrom;
+    this.lineTo = lineTo;
+  }
+
+  toDOM(view) {
+    const { frame, content } = createNoteEmbedFrame(this.link);
+    const documentKey = getDocumentEmbedKey(view.state);
+    loadNoteEmbed(view, this.link, content, documentKey ? [documentKey] : [])
+      .then(() => view.requestMeasure());
+
+    const lineFrom = this.lineFrom;
+    frame.addEventListener('mousedown', (e) => {
+      const { onTagClick } = view.state.facet(tagsFacet);
+
+      // Wiki links inside the embed and its header open the linked note
+      const onWikiLink = getWikiLinkClickHandler(view.state.facet(wikiLinksFacet), e.target.closest('[data-wikilink]'));
+      if (onWikiLink) {
+        e.preventDefault();
+        e.stopPropagation();
+        onWikiLink();
+        return;
+      }
+
+      const tag = e.target.closest('[data-tag]');
+      if (tag && onTagClick) {
+        e.preventDefault();
+        e.stopPropagation();
+        onTagClick(tag.getAttribute('data-tag'));
+        return;
+      }
+
+      const anchor = e.target.closest('a');
+      if (anchor && anchor.href) {
+        e.preventDefault();
+        e.stopPropagation();
+        window.open(anchor.href, '_blank', 'noopener,noreferrer');
+        return;
+      }
+
+      e.preventDefault();
+      e.stopPropagation();
+      view.dispatch({
+        selection: { anchor: lineFrom },
+        scrollIntoView: true,
+      });
+      view.focus();
+    });
+
+    return frame;
+  }
+
+  eq(other) {
+    return other.link.raw === this.link.raw;
+  }
+
+  ignoreEvent(event) {
+    return event.type !== 'mousedown';
+  }
+}
+
+/**
+ * Build decorations for lines that contain only a note embed
+ */
+function buildNoteEmbedDecorations(view, blockRanges) {
+  const { state } = view;
+  if (!state.facet(embedResolverFacet)) return Decoration.none;
+
+  const hasFocus = view.hasFocus;
+  const decorations = [];
+  const focusedLines = hasFocus ? getFocusedLines(state) : new Set();
+  const {
+    frontmatterLines,
+    codeBlockLines,
+    tableLines,
+    mathBlockLines,
+    footnoteBlockLines,
+    definitionListLines,
+    mermaidBlockLines,
+    calloutBlockLines,
+  } = blockRanges;
+
+  for (const { from, to } of view.visibleRanges) {
+    const startLine = state.doc.lineAt(from).number;
+    const endLine = state.doc.lineAt(to).number;
+
+    for (let i = startLine; i <= endLine; i++) {
+      if (focusedLines.has(i)) continue;
+      if (frontmatterLines.has(i)) continue;
+      if (codeBlockLines.has(i)) continue;
+      if (tableLines.has(i)) continue;
+      if (mathBlockLines.has(i)) continue;
+      if (footnoteBlockLines.has(i)) continue;
+      if (definitionListLines.has(i)) continue;
+      if (mermaidBlockLines.has(i)) continue;
+      if (calloutBlockLines.has(i)) continue;
+
+      const line = state.doc.line(i);
+      const link = parseNoteEmbedLine(line.text);
+      if (!link) continue;
+
+      decorations.push(
+        Decoration.replace({
+          widget: new NoteEmbedWidget(link, line.from, line.to),
+        }).range(line.from, line.to)
+      );
+    }
+  }
+
+  return Decoration.set(decorations, true);
+}
+
+const noteEmbedDecorations = ViewPlugin.fromClass(
+  class {
+    constructor(view) {
+      const blockRanges = view.state.field(blockRangesField);
+      this.decorations = buildNoteEmbedDecorations(view, blockRanges);
+    }
+
+    update(update) {
+      if (update.docChanged || update.selectionSet || update.viewportChanged || update.focusChanged) {
+        const blockRanges = update.state.field(blockRangesField);
+        this.decorations = buildNoteEmbedDecorations(update.view, blockRanges);
+      }
+    }
+  },
+  {
+    decorations: (v) => v.decorations,
+  }
+);
+
 // ============================================================================
 // FRONTMATTER SHEET STATE
 // ============================================================================
@@ -2960,11 +4164,13 @@ const frontmatterDecorations = ViewPlugin.fromClass(
 );
 
 /**
- * The hybrid preview extension
- * @param {Object} options - Configuration options
- * @param {boolean} [options.enableCollapse=true] - Enable heading collapse functionality
+ * The configuration facets read by the preview widgets (collapse, custom
+ * tasks, wiki links, tags, markdown-it plugins, block renderers, image URL
+ * and embed resolvers), without any decorations. Read mode reuses the
+ * widgets and needs the same configuration.
+ * @param {Object} options - Same options as hybridPreview()
  */
-export function hybridPreview(options = {}) {
+export function previewConfig(options = {}) {
   const {
     enableCollapse = true,
     enableCustomTasks = false,
@@ -2972,12 +4178,24 @@ export function hybridPreview(options = {}) {
     enableWikiLinks = false,
     renderWikiLinks = true,
     onWikiLinkClick,
+    noteIndex,
+    onCreateNote,
     enableTags = false,
     onTagClick,
+    markdownPlugins,
+    blockRenderers,
+    resolveImageUrl,
+    resolveEmbed,
   } = options;
 
   const customTasksConfig = buildCustomTasksConfig(enableCustomTasks, customTaskTypes);
-  const wikiLinksConfig = buildWikiLinksConfig(enableWikiLinks, renderWikiLinks, onWikiLinkClick);
+  const wikiLinksConfig = buildWikiLinksConfig(
+    enableWikiLinks,
+    renderWikiLinks,
+    onWikiLinkClick,
+    noteIndex,
+    onCreateNote,
+  );
   const tagsConfig = buildTagsConfig(enableTags, onTagClick);
 
   return [
@@ -2989,7 +4207,28 @@ export function hybridPreview(options = {}) {
     wikiLinksFacet.of(wikiLinksConfig),
     // Configuration facet for tags
     tagsFacet.of(tagsConfig),
-    // State for tracking collapsed headings (always included, but only used if collapse enabled)
+    // Per-editor markdown-it instance (extra plugins)
+    markdownFacet.of(getMarkdownRenderer(markdownPlugins)),
+    // Fenced-language → custom block renderer
+    blockRenderersFacet.of(normalizeBlockRenderers(blockRenderers)),
+    // Image source → loadable URL
+    imageResolverFacet.of(typeof resolveImageUrl === 'function' ? resolveImageUrl : null),
+    // Embedded note → markdown
+    embedResolverFacet.of(typeof resolveEmbed === 'function' ? resolveEmbed : null),
+  ];
+}
+
+/**
+ * The hybrid preview extension
+ * @param {Object} options - Configuration options
+ * @param {boolean} [options.enableCollapse=true] - Enable heading collapse functionality
+ */
+export function hybridPreview(options = {}) {
+  return [
+    ...previewConfig(options),
+    // State for tracking collapsed headings (always included, but only used if collapse enabled).
+    // hybridMarkdown() also registers it outside the compartment so folds
+    // survive raw-mode toggle and stay visible to the outline panel.
     collapsedHeadingsField,
     // NOTE: frontmatterSheetField and blockRangesField are intentionally
     // NOT included here — they live in hybridMarkdown() so they survive
@@ -2997,6 +4236,7 @@ export function hybridPreview(options = {}) {
     // ViewPlugins that read from the shared state
     frontmatterDecorations,
     imageDecorations,
+    noteEmbedDecorations,
     hybridPreviewPlugin,
     wikiLinkDecorations,
     tagDecorations,
@@ -3007,5 +4247,6 @@ export function hybridPreview(options = {}) {
     calloutBlockDecorations,
     mathBlockDecorations,
     mermaidBlockDecorations,
+    customBlockDecorations,
   ];
 }
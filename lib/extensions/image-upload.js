@@ -0,0 +1,334 @@
+/**
+ * Image Upload
+ *
+ * Uploads image files that are pasted or dropped into the editor through the
+ * app's `onImageUpload(file, { onProgress })` callback, which resolves to the
+ * image URL.
+ *
+ * Each file gets a placeholder line (`![Uploading name…]()`, as on GitHub)
+ * that is drawn as an upload widget while the promise is pending and replaced
+ * with `![name](url)` when it resolves. A rejected upload turns the widget
+ * into an inline error with Retry and Remove buttons. Deleting the placeholder
+ * cancels the insertion; undo and redo bring it back with its upload.
+ */
+
+import { EditorView, Decoration, WidgetType } from '@codemirror/view';
+import { StateField, StateEffect, Prec } from '@codemirror/state';
+import { invertedEffects } from '@codemirror/commands';
+
+const addUploadEffect = StateEffect.define({
+  // Uploads restored by undo/redo are mapped through the edits made since
+  map: (upload, mapping) => ({
+    ...upload,
+    from: mapping.mapPos(upload.from, 1),
+    to: mapping.mapPos(upload.to, -1),
+  }),
+});
+const updateUploadEffect = StateEffect.define();
+const removeUploadEffect = StateEffect.define();
+
+/**
+ * Uploads in progress or failed: { id, from, to, file, status, progress, message }.
+ * Ranges cover the placeholder text and are mapped through edits.
+ */
+const uploadsField = StateField.define({
+  create() {
+    return [];
+  },
+  update(uploads, tr) {
+    if (tr.docChanged) {
+      uploads = uploads
+        .map((upload) => ({
+          ...upload,
+          from: tr.changes.mapPos(upload.from, 1),
+          to: tr.changes.mapPos(upload.to, -1),
+        }))
+        .filter((upload) => upload.to > upload.from);
+    }
+    for (const effect of tr.effects) {
+      if (effect.is(addUploadEffect)) {
+        if (effect.value.to > effect.value.from) uploads = [...uploads, effect.value];
+      } else if (effect.is(updateUploadEffect)) {
+        uploads = uploads.map((upload) =>
+          (upload.id === effect.value.id ? { ...upload, ...effect.value } : upload));
+      } else if (effect.is(removeUploadEffect)) {
+        uploads = uploads.filter((upload) => upload.id !== effect.value);
+      }
+    }
+    return uploads;
+  },
+  // Above the preview, which would otherwise render the placeholder line
+  provide: (field) => Prec.highest(EditorView.decorations.from(field, (uploads) =>
+    Decoration.set(
+      uploads.map((upload) => Decoration.replace({
+        widget: new ImageUploadWidget(upload),
+      }).range(upload.from, upload.to)),
+      true,
+    ))),
+});
+
+/**
+ * Undoing an edit that deleted a placeholder, or redoing the insertion of
+ * one, restores its upload along with the text
+ */
+const restoreDroppedUploads = invertedEffects.of((tr) => {
+  if (!tr.docChanged) return [];
+
+  const removed = new Set(tr.effects.filter((effect) => effect.is(removeUploadEffect)).map((effect) => effect.value));
+  const kept = new Set(tr.state.field(uploadsField).map((upload) => upload.id));
+  return tr.startState.field(uploadsField)
+    .filter((upload) => !kept.has(upload.id) && !removed.has(upload.id))
+    .map((upload) => addUploadEffect.of(upload));
+});
+
+/**
+ * Results of uploads that finished while their placeholder was undone,
+ * applied if redo restores it
+ */
+const settledUploads = new Map();
+
+/**
+ * Finish a restored upload whose result is already known. Runs after the
+ * update, since a view cannot dispatch while updating.
+ */
+const settleRestoredUploads = EditorView.updateListener.of((update) => {
+  for (const tr of update.transactions) {
+    for (const effect of tr.effects) {
+      const { id } = effect.is(addUploadEffect) ? effect.value : {};
+      if (!settledUploads.has(id)) continue;
+      const result = settledUploads.get(id);
+      settledUploads.delete(id);
+      Promise.resolve().then(() => finishUpload(update.view, id, result));
+    }
+  }
+});
+
+let nextUploadId = 0;
+
+/**
+ * Image name without its extension, for alt text
+ */
+function getAltText(file) {
+  return (file.name || 'image').replace(/\.[^.]+$/, '').replace(/[[\]]/g, '');
+}
+
+function getPlaceholder(file) {
+  return `![Uploading ${(file.name || 'image').replace(/[[\]]/g, '')}…]()`;
+}
+
+/**
+ * Image files in a DataTransfer
+ */
+function getImageFiles(dataTransfer) {
+  if (!dataTransfer || !dataTransfer.files) return [];
+  return Array.from(dataTransfer.files).filter((file) => file.type.startsWith('image/'));
+}
+
+function findUpload(state, id) {
+  return state.field(uploadsField, false)?.find((upload) => upload.id === id);
+}
+
+/**
+ * Replace a placeholder with its image, or show the upload error
+ * @param {{ url?: string, message?: string }} result
+ */
+function finishUpload(view, id, result) {
+  const upload = findUpload(view.state, id);
+  if (!upload) return;
+
+  if (result.url) {
+    view.dispatch({
+      changes: { from: upload.from, to: upload.to, insert: `![${getAltText(upload.file)}](${result.url.replace(/ /g, '%20')})` },
+      effects: removeUploadEffect.of(id),
+      userEvent: 'input.paste',
+    });
+  } else {
+    view.dispatch({ effects: updateUploadEffect.of({ id, status: 'error', message: result.message }) });
+  }
+}
+
+/**
+ * Run the upload for a placeholder and settle it
+ */
+function startUpload(view, id, file, onImageUpload) {
+  const onProgress = (progress) => {
+    if (!findUpload(view.state, id) || typeof progress !== 'number') return;
+    view.dispatch({ effects: updateUploadEffect.of({ id, progress: Math.max(0, Math.min(progress, 1)) }) });
+  };
+
+  Promise.resolve()
+    .then(() => onImageUpload(file, { onProgress }))
+    .then((url) => {
+      if (typeof url !== 'string' || !url) throw new Error('No image URL returned');
+      return { url };
+    })
+    .catch((error) => ({ message: (error && error.message) || String(error || 'Upload failed') }))
+    .then((result) => {
+      if (findUpload(view.state, id)) finishUpload(view, id, result);
+      else settledUploads.set(id, result);
+    });
+}
+
+/**
+ * Insert placeholder lines for files at `pos` and start uploading them
+ */
+function insertUploads(view, files, pos, onImageUpload) {
+  const { state } = view;
+  const line = state.doc.lineAt(pos);
+
+  // Placeholders go on their own lines: at an empty line, or after the line
+  const atEmptyLine = !line.text.trim();
+  const from = atEmptyLine ? line.from : line.to;
+  const to = line.to;
+  const prefix = atEmptyLine ? '' : '\n';
+
+  const effects = [];
+  const placeholders = files.map((file) => getPlaceholder(file));
+  let offset = from + prefix.length;
+  for (let i = 0; i < files.length; i++) {
+    const id = nextUploadId++;
+    effects.push(addUploadEffect.of({
+      id,
+      from: offset,
+      to: offset + placeholders[i].length,
+      file: files[i],
+      onImageUpload,
+      status: 'uploading',
+      progress: null,
+      message: null,
+    }));
+    offset += placeholders[i].length + 1;
+  }
+
+  const insert = prefix + placeholders.join('\n');
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: { anchor: from + insert.length },
+    effects,
+    scrollIntoView: true,
+    userEvent: 'input.paste',
+  });
+
+  for (const effect of effects) {
+    startUpload(view, effect.value.id, effect.value.file, onImageUpload);
+  }
+}
+
+/**
+ * Upload placeholder: progress while pending, error with actions on failure
+ */
+class ImageUploadWidget extends WidgetType {
+  constructor(upload) {
+    super();
+    this.upload = upload;
+  }
+
+  toDOM(view) {
+    const { id, file, onImageUpload, status, progress, message } = this.upload;
+    const wrapper = document.createElement('span');
+    wrapper.className = `cm-image-upload cm-image-upload-${status}`;
+
+    const label = document.createElement('span');
+    label.className = 'cm-image-upload-label';
+    wrapper.appendChild(label);
+
+    if (status === 'error') {
+      label.textContent = `Upload failed: ${file.name || 'image'} — ${message}`;
+
+      const retry = document.createElement('button');
+      retry.className = 'cm-image-upload-action';
+      retry.textContent = 'Retry';
+      retry.addEventListener('click', () => {
+        view.dispatch({ effects: updateUploadEffect.of({ id, status: 'uploading', progress: null, message: null }) });
+        startUpload(view, id, file, onImageUpload);
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'cm-image-upload-action';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', () => {
+        const upload = view.state.field(uploadsField).find((entry) => entry.id === id);
+        if (!upload) return;
+        const line = view.state.doc.lineAt(upload.from);
+        // Remove the whole placeholder line when it has nothing else on it
+        const whole = line.from === upload.from && line.to === upload.to;
+        const from = whole && line.number > 1 ? line.from - 1 : upload.from;
+        const to = whole && line.number === 1 && line.to < view.state.doc.length ? line.to + 1 : upload.to;
+        // The upload goes with its text, so undo can bring it back
+        view.dispatch({ changes: { from, to } });
+      });
+
+      wrapper.append(retry, remove);
+    } else {
+      const spinner = document.createElement('span');
+      spinner.className = 'cm-image-upload-spinner';
+      wrapper.insertBefore(spinner, label);
+
+      const percent = progress === null ? '' : ` ${Math.round(progress * 100)}%`;
+      label.textContent = `Uploading ${file.name || 'image'}…${percent}`;
+
+      if (progress !== null) {
+        const bar = document.createElement('span');
+        bar.className = 'cm-image-upload-progress';
+        const fill = document.createElement('span');
+        fill.style.width = `${Math.round(progress * 100)}%`;
+        bar.appendChild(fill);
+        wrapper.appendChild(bar);
+      }
+    }
+
+    for (const button of wrapper.querySelectorAll('button')) {
+      button.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+    }
+
+    return wrapper;
+  }
+
+  eq(other) {
+    const a = this.upload;
+    const b = other.upload;
+    return a.id === b.id && a.status === b.status && a.progress === b.progress && a.message === b.message;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+/**
+ * Create the image upload extension
+ * @param {Object} options
+ * @param {(file: File, context: {onProgress: (fraction: number) => void}) => Promise<string>} options.onImageUpload
+ *   Uploads a file and resolves to its URL; may report progress from 0 to 1
+ * @returns {Extension[]}
+ */
+export function imageUpload(options = {}) {
+  const { onImageUpload } = options;
+  if (typeof onImageUpload !== 'function') return [];
+
+  const handlers = EditorView.domEventHandlers({
+    paste(event, view) {
+      const files = getImageFiles(event.clipboardData);
+      if (files.length === 0 || view.state.readOnly) return false;
+
+      event.preventDefault();
+      insertUploads(view, files, view.state.selection.main.head, onImageUpload);
+      return true;
+    },
+    drop(event, view) {
+      const files = getImageFiles(event.dataTransfer);
+      if (files.length === 0 || view.state.readOnly) return false;
+
+      event.preventDefault();
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY }) ?? view.state.selection.main.head;
+      insertUploads(view, files, pos, onImageUpload);
+      return true;
+    },
+  });
+
+  // Ahead of smart paste, which would convert the clipboard's HTML instead
+  return [Prec.highest(handlers), uploadsField, restoreDroppedUploads, settleRestoredUploads];
+}
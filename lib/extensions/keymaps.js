@@ -1,11 +1,22 @@
 import { keymap } from '@codemirror/view';
 import { actions } from './actions.js';
+import { blockRangesField } from './hybrid-preview.js';
+import { findHeadingAtLine } from './sections.js';
 import {
   setTypewriterEffect,
   setFocusModeEffect,
   writingModeField,
 } from './writing-mode-state.js';
 
+/**
+ * Whether the main cursor sits on a heading line
+ */
+function cursorOnHeading(view) {
+  const { state } = view;
+  const lineNumber = state.doc.lineAt(state.selection.main.head).number;
+  return findHeadingAtLine(state.field(blockRangesField).headings, lineNumber) !== null;
+}
+
 export const markdownKeymap = keymap.of([
   {
     key: 'Mod-Shift-t',
@@ -142,4 +153,47 @@ export const markdownKeymap = keymap.of([
       return true;
     },
   },
+  {
+    key: 'Mod-Shift-Alt-ArrowUp',
+    run: (view) => actions.moveSectionUp(view),
+  },
+  {
+    key: 'Mod-Shift-Alt-ArrowDown',
+    run: (view) => actions.moveSectionDown(view),
+  },
+  // Tab/Shift-Tab only act on heading lines; elsewhere they fall through.
+  // A refused shift (past H1/H6) still consumes the key so focus stays put.
+  {
+    key: 'Tab',
+    run: (view) => {
+      if (!cursorOnHeading(view)) return false;
+      actions.demoteSection(view);
+      return true;
+    },
+  },
+  {
+    key: 'Shift-Tab',
+    run: (view) => {
+      if (!cursorOnHeading(view)) return false;
+      actions.promoteSection(view);
+      return true;
+    },
+  },
+  // Bulk folding. Ctrl-Alt is AltGr on many European layouts, so other
+  // platforms use Ctrl-Shift; Cmd-Shift-[ and Cmd-Shift-3…5 are taken on macOS.
+  {
+    key: 'Ctrl-Shift-[',
+    mac: 'Cmd-Alt-[',
+    run: (view) => actions.foldAll(view),
+  },
+  {
+    key: 'Ctrl-Shift-]',
+    mac: 'Cmd-Alt-]',
+    run: (view) => actions.unfoldAll(view),
+  },
+  ...[1, 2, 3, 4, 5, 6].map((level) => ({
+    key: `Ctrl-Shift-${level}`,
+    mac: `Cmd-Alt-${level}`,
+    run: (view) => actions.foldToLevel(view, level),
+  })),
 ]);
@@ -0,0 +1,199 @@
+/**
+ * Document Outline / Table of Contents Panel
+ *
+ * A top panel listing every heading in the document as a nested tree:
+ * - Headings come from the shared blockRangesField (no extra document scan)
+ * - The heading containing the cursor is highlighted
+ * - Clicking an entry moves the cursor to that heading
+ * - Fold toggles share state with collapsedHeadingsField, so folding in the
+ *   outline folds the editor and vice versa
+ * - Entries can be dragged onto each other to reorder whole sections
+ */
+
+import { showPanel } from '@codemirror/view';
+import {
+  blockRangesField,
+  collapsedHeadingsField,
+  enableCollapseFacet,
+  markdownFacet,
+  toggleCollapseEffect,
+} from './hybrid-preview.js';
+import { addSectionDragSource, addSectionDropTarget } from './sections.js';
+import { renderInline } from '../utils/markdown.js';
+
+/**
+ * Find the heading whose section contains the given line number
+ * @returns {Object|null} Heading entry from blockRangesField
+ */
+function findActiveHeading(headings, lineNumber) {
+  let active = null;
+  for (const heading of headings) {
+    if (heading.line > lineNumber) break;
+    active = heading;
+  }
+  return active;
+}
+
+/**
+ * Compute nesting depth for each heading (skipped levels don't add extra indentation)
+ * @returns {number[]} Depth per heading, aligned with the headings array
+ */
+function computeDepths(headings) {
+  const depths = [];
+  const stack = [];
+
+  for (const heading of headings) {
+    while (stack.length > 0 && stack[stack.length - 1] >= heading.level) {
+      stack.pop();
+    }
+    depths.push(stack.length);
+    stack.push(heading.level);
+  }
+
+  return depths;
+}
+
+/**
+ * Create the outline panel
+ */
+function outlinePanelFactory(view) {
+  const dom = document.createElement('div');
+  dom.className = 'cm-outline-panel';
+
+  let itemsByLine = new Map();
+  let activeLine = null;
+
+  function render(state) {
+    const { headings } = state.field(blockRangesField);
+    const collapseEnabled = state.facet(enableCollapseFacet);
+    const collapsed = state.field(collapsedHeadingsField, false) || new Set();
+    const depths = computeDepths(headings);
+
+    dom.textContent = '';
+    itemsByLine = new Map();
+    activeLine = null;
+
+    const label = document.createElement('div');
+    label.className = 'cm-outline-label';
+    label.textContent = 'Outline';
+    dom.appendChild(label);
+
+    if (headings.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'cm-outline-empty';
+      empty.textContent = 'No headings';
+      dom.appendChild(empty);
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'cm-outline-list';
+
+    // End line of the outermost collapsed heading we're inside (children are hidden)
+    let hiddenUntil = 0;
+
+    for (let i = 0; i < headings.length; i++) {
+      const heading = headings[i];
+      if (heading.line <= hiddenUntil) continue;
+
+      const isCollapsed = collapseEnabled && collapsed.has(heading.line);
+      if (isCollapsed) {
+        hiddenUntil = heading.endLine;
+      }
+
+      const item = document.createElement('div');
+      item.className = `cm-outline-item cm-outline-h${heading.level}`;
+      item.style.paddingLeft = `${depths[i] * 14 + 4}px`;
+      item.setAttribute('data-line', String(heading.line));
+
+      const toggle = document.createElement('span');
+      toggle.className = 'cm-outline-toggle';
+      if (collapseEnabled && heading.endLine > heading.line) {
+        toggle.classList.add(isCollapsed ? 'collapsed' : 'expanded');
+        toggle.textContent = '›';
+        toggle.title = isCollapsed ? 'Expand' : 'Collapse';
+        toggle.addEventListener('mousedown', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          view.dispatch({ effects: toggleCollapseEffect.of(heading.line) });
+        });
+        toggle.addEventListener('click', (e) => {
+          e.stopPropagation();
+        });
+      }
+      item.appendChild(toggle);
+
+      const text = document.createElement('span');
+      text.className = 'cm-outline-text';
+      text.innerHTML = renderInline(heading.text || '(untitled)', { md: view.state.facet(markdownFacet) });
+      item.appendChild(text);
+
+      // Navigate on click rather than mousedown so dragging the entry still works
+      item.addEventListener('click', () => {
+        const line = view.state.doc.line(heading.line);
+        view.dispatch({
+          selection: { anchor: line.from },
+          scrollIntoView: true,
+        });
+        view.focus();
+      });
+
+      addSectionDragSource(item, heading.line);
+      addSectionDropTarget(item, view, heading.line, (state) => state.field(blockRangesField).headings);
+
+      itemsByLine.set(heading.line, item);
+      list.appendChild(item);
+    }
+
+    dom.appendChild(list);
+    highlightActive(state);
+  }
+
+  function highlightActive(state) {
+    const { headings } = state.field(blockRangesField);
+    const cursorLine = state.doc.lineAt(state.selection.main.head).number;
+    const active = findActiveHeading(headings, cursorLine);
+    const nextLine = active ? active.line : null;
+    if (nextLine === activeLine) return;
+
+    const previous = itemsByLine.get(activeLine);
+    if (previous) previous.classList.remove('cm-outline-item-active');
+
+    const current = itemsByLine.get(nextLine);
+    if (current) {
+      current.classList.add('cm-outline-item-active');
+      // Keep the active entry visible without scrolling the page itself
+      if (current.offsetTop < dom.scrollTop) {
+        dom.scrollTop = current.offsetTop;
+      } else if (current.offsetTop + current.offsetHeight > dom.scrollTop + dom.clientHeight) {
+        dom.scrollTop = current.offsetTop + current.offsetHeight - dom.clientHeight;
+      }
+    }
+    activeLine = nextLine;
+  }
+
+  render(view.state);
+
+  return {
+    dom,
+    top: true,
+    update(update) {
+      const collapseChanged = update.startState.field(collapsedHeadingsField, false) !==
+        update.state.field(collapsedHeadingsField, false);
+      // New markdownPlugins render the entries differently
+      const markdownChanged = update.startState.facet(markdownFacet) !== update.state.facet(markdownFacet);
+
+      if (update.docChanged || collapseChanged || markdownChanged) {
+        render(update.state);
+      } else if (update.selectionSet) {
+        highlightActive(update.state);
+      }
+    },
+  };
+}
+
+/**
+ * The outline panel extension.
+ * Use with a Compartment for toggling.
+ */
+export const outlinePanel = showPanel.of(outlinePanelFactory);
@@ -0,0 +1,223 @@
+/**
+ * Read Mode
+ *
+ * Renders the whole document as one continuous page instead of line-by-line
+ * widgets that reveal the raw markdown on focus. A single block widget
+ * replaces the content and is built from the hybrid preview's own widgets
+ * (markdown lines, highlighted code, tables, callouts, math, mermaid,
+ * custom block renderers, footnotes, definition lists, images, note
+ * embeds), so both modes look the same.
+ *
+ * Clicking rendered content calls the `onEdit(view, pos)` handler with the
+ * source position so the host can switch back to hybrid mode there. Links,
+ * wiki links and tags with a click handler, task toggles and callout folds
+ * keep their preview behaviour. Frontmatter is hidden and folds are ignored.
+ */
+
+import { Facet, StateField } from '@codemirror/state';
+import { EditorView, Decoration, WidgetType } from '@codemirror/view';
+import {
+  previewConfig,
+  getDocumentBlocks,
+  getPreviewClickHandlers,
+  getPreviewRenderOptions,
+  getBlockRenderer,
+  getCodeBlockContent,
+  CustomBlockWidget,
+  MarkdownPreviewWidget,
+  HighlightedCodeWidget,
+  MathBlockWidget,
+  MermaidBlockWidget,
+  TableWidget,
+  FootnoteBlockWidget,
+  DefinitionListWidget,
+  CalloutBlockWidget,
+  ImagePreviewWidget,
+  NoteEmbedWidget,
+} from './hybrid-preview.js';
+
+/**
+ * Handler called with (view, pos) when rendered content is clicked
+ */
+const readModeEditFacet = Facet.define({
+  combine(values) {
+    return values.length > 0 ? values[values.length - 1] : null;
+  },
+});
+
+/**
+ * Render one document block with the widget the preview uses for it
+ */
+function renderBlock(block, view) {
+  const { type, range, image, embed, lines, from, to } = block;
+
+  switch (type) {
+    case 'code': {
+      const container = document.createElement('div');
+      container.className = 'cm-read-code';
+      // Fences are hidden once the block has content, like in the preview
+      const hasContent = lines.length > 2;
+      lines.forEach((text, index) => {
+        const isFence = index === 0 || index === lines.length - 1;
+        if (isFence && hasContent) return;
+        const line = document.createElement('div');
+        line.className = 'cm-read-line cm-code-block-line';
+        if (!text) {
+          line.appendChild(document.createElement('br'));
+        } else if (isFence) {
+          line.textContent = text;
+        } else {
+          line.appendChild(new HighlightedCodeWidget(text, range.language, from, to).toDOM(view));
+        }
+        container.appendChild(line);
+      });
+      return container;
+    }
+    case 'custom': {
+      const render = getBlockRenderer(view.state, range);
+      const content = getCodeBlockContent(view.state.doc, range);
+      return new CustomBlockWidget(render, range.language.split(/\s+/)[0], range.language, content, from, to).toDOM(view);
+    }
+    case 'mermaid':
+      return new MermaidBlockWidget(lines.slice(1, -1).join('\n'), from, to).toDOM(view);
+    case 'math':
+      return new MathBlockWidget(lines.slice(1, -1).join('\n'), from, to).toDOM(view);
+    case 'table':
+      return new TableWidget(lines, from, to).toDOM(view);
+    case 'footnote':
+      return new FootnoteBlockWidget(range.id, lines, from, to).toDOM(view);
+    case 'definitionList':
+      return new DefinitionListWidget(lines, from, to).toDOM(view);
+    case 'callout':
+      return new CalloutBlockWidget(lines, range.type, range.title, range.foldable, range.defaultOpen, from, to).toDOM(view);
+    case 'image':
+      return new ImagePreviewWidget(image, from, to, { resizable: false }).toDOM(view);
+    case 'embed':
+      return new NoteEmbedWidget(embed, from, to).toDOM(view);
+    case 'empty':
+      return document.createElement('br');
+    default:
+      return new MarkdownPreviewWidget(lines[0], from, to).toDOM(view);
+  }
+}
+
+/**
+ * Whether a click should be left to the block widget's own handler
+ */
+function isInteractiveTarget(target, view) {
+  const { onWikiLinkClick, onCreateNote, onTagClick } = getPreviewClickHandlers(view.state);
+  if (target.closest('a[href]')) return true;
+  if (onWikiLinkClick && target.closest('[data-wikilink]')) return true;
+  if (onCreateNote && target.closest('.md-wikilink-missing')) return true;
+  if (onTagClick && target.closest('[data-tag]')) return true;
+  if (target.closest('input[type="checkbox"], .md-task-icon')) return true;
+
+  // Foldable callouts toggle from their title bar
+  const calloutTitle = target.closest('.cm-callout-title');
+  return Boolean(calloutTitle && calloutTitle.querySelector('.cm-callout-fold'));
+}
+
+/**
+ * Widget that renders the entire document
+ */
+class ReadModeWidget extends WidgetType {
+  constructor(doc, noteIndex = null) {
+    super();
+    this.doc = doc;
+    // Missing links are styled against it, so a new index redraws the page
+    this.noteIndex = noteIndex;
+  }
+
+  toDOM(view) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'cm-read-mode';
+
+    for (const block of getDocumentBlocks(view.state)) {
+      const element = document.createElement('div');
+      element.className = `cm-read-line cm-read-${block.type}`;
+      element.dataset.from = String(block.from);
+      element.dataset.type = block.type;
+      element.appendChild(renderBlock(block, view));
+      wrapper.appendChild(element);
+    }
+
+    // Capture phase: runs before the block widgets' own mousedown handlers
+    wrapper.addEventListener('mousedown', (e) => {
+      if (isInteractiveTarget(e.target, view)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      const element = e.target.closest('[data-from]');
+      const onEdit = view.state.facet(readModeEditFacet);
+      if (!element || !onEdit) return;
+
+      let pos = Number(element.dataset.from);
+
+      // Estimate the column on plain lines, like the preview does
+      if (element.dataset.type === 'line') {
+        const line = view.state.doc.lineAt(pos);
+        const rect = element.getBoundingClientRect();
+        if (rect.width > 0 && line.length > 0) {
+          const ratio = (e.clientX - rect.left) / rect.width;
+          pos += Math.max(0, Math.min(Math.round(ratio * line.length), line.length));
+        }
+      }
+
+      onEdit(view, pos);
+    }, true);
+
+    // Capture phase too: table cells would otherwise open their edit menu
+    wrapper.addEventListener('contextmenu', (e) => {
+      if (!e.target.closest('.cm-read-table [data-row]')) return;
+      e.preventDefault();
+      e.stopPropagation();
+    }, true);
+
+    return wrapper;
+  }
+
+  eq(other) {
+    return other.doc === this.doc && other.noteIndex === this.noteIndex;
+  }
+
+  ignoreEvent(event) {
+    return event.type !== 'mousedown';
+  }
+}
+
+function buildReadModeDecorations(state) {
+  const { noteIndex } = getPreviewRenderOptions(state).line;
+  const widget = Decoration.replace({ widget: new ReadModeWidget(state.doc, noteIndex), block: true });
+  return Decoration.set([widget.range(0, state.doc.length)]);
+}
+
+/**
+ * Block decorations must come from a StateField, not a ViewPlugin
+ */
+const readModeField = StateField.define({
+  create(state) {
+    return buildReadModeDecorations(state);
+  },
+  update(value, tr) {
+    return tr.docChanged || tr.reconfigured ? buildReadModeDecorations(tr.state) : value;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+/**
+ * The read mode extension
+ * @param {Object} options - Same options as hybridPreview(), plus:
+ * @param {(view: EditorView, pos: number) => void} [options.onEdit] - Called when rendered content is clicked
+ */
+export function readMode(options = {}) {
+  const { onEdit, ...previewOptions } = options;
+
+  return [
+    // The widgets read their configuration from the preview facets
+    previewConfig(previewOptions),
+    readModeEditFacet.of(typeof onEdit === 'function' ? onEdit : null),
+    readModeField,
+    EditorView.editable.of(false),
+  ];
+}
@@ -0,0 +1,243 @@
+/**
+ * Section helpers shared by the heading widgets, the outline panel and actions.
+ *
+ * A "section" is a heading line plus every line up to its endLine (see
+ * computeHeadingRanges in hybrid-preview.js), so moving or re-levelling a
+ * section also applies to all of its subsections. Helpers take the `headings`
+ * array from blockRangesField as a parameter to avoid a circular import.
+ */
+
+/**
+ * MIME type used to carry a section's heading line number while dragging
+ */
+const SECTION_DRAG_TYPE = 'application/x-cm-section';
+
+/**
+ * Find the innermost heading whose section contains the given line
+ * @returns {Object|null} Heading entry from blockRangesField
+ */
+export function findSectionHeading(headings, lineNumber) {
+  let found = null;
+  for (const heading of headings) {
+    if (heading.line > lineNumber) break;
+    if (lineNumber <= heading.endLine) {
+      found = heading;
+    }
+  }
+  return found;
+}
+
+/**
+ * Find the previous section at the same level under the same parent
+ * @returns {Object|null}
+ */
+export function findPreviousSibling(headings, heading) {
+  const index = headings.indexOf(heading);
+  for (let i = index - 1; i >= 0; i--) {
+    if (headings[i].level < heading.level) return null;
+    if (headings[i].level === heading.level) return headings[i];
+  }
+  return null;
+}
+
+/**
+ * Find the next section at the same level under the same parent
+ * @returns {Object|null}
+ */
+export function findNextSibling(headings, heading) {
+  const next = headings.find((h) => h.line === heading.endLine + 1);
+  if (!next || next.level !== heading.level) return null;
+  return next;
+}
+
+/**
+ * Move the section starting at `headingLine` so that it begins at `targetLine`
+ * (a line number in the current document, or doc.lines + 1 for the end).
+ * Applied as a single transaction so one undo restores the original order.
+ *
+ * @param {EditorView} view
+ * @param {Array} headings - Heading entries from blockRangesField
+ * @param {number} headingLine - Line number of the section's heading
+ * @param {number} targetLine - Line the section should be inserted before
+ * @returns {boolean} True if the document changed
+ */
+export function moveSection(view, headings, headingLine, targetLine) {
+  const heading = headings.find((h) => h.line === headingLine);
+  if (!heading) return false;
+
+  const { state } = view;
+  const doc = state.doc;
+
+  // Dropping inside (or directly around) the section itself is a no-op
+  if (targetLine >= heading.line && targetLine <= heading.endLine + 1) {
+    return false;
+  }
+
+  const first = doc.line(heading.line);
+  const last = doc.line(heading.endLine);
+  let text = doc.sliceString(first.from, last.to);
+
+  // Remove the section including one line break so no empty line is left behind
+  const removal = heading.endLine < doc.lines
+    ? { from: first.from, to: last.to + 1 }
+    : { from: Math.max(0, first.from - 1), to: last.to };
+
+  let insertAt;
+  let offset = 0;
+  if (targetLine > doc.lines) {
+    insertAt = doc.length;
+    text = '\n' + text;
+    offset = 1;
+  } else {
+    insertAt = doc.line(targetLine).from;
+    text = text + '\n';
+  }
+
+  const changes = state.changes([
+    { from: removal.from, to: removal.to },
+    { from: insertAt, insert: text },
+  ]);
+
+  // Keep the cursor at the same spot inside the moved section
+  const { head } = state.selection.main;
+  const selection = head >= first.from && head <= last.to
+    ? { anchor: changes.mapPos(insertAt, -1) + offset + (head - first.from) }
+    : undefined;
+
+  view.dispatch({
+    changes,
+    selection,
+    scrollIntoView: true,
+    userEvent: 'move.section',
+  });
+
+  return true;
+}
+
+/**
+ * Move the section under the cursor above its previous sibling
+ * @returns {boolean}
+ */
+export function moveSectionUp(view, headings) {
+  const lineNumber = view.state.doc.lineAt(view.state.selection.main.head).number;
+  const heading = findSectionHeading(headings, lineNumber);
+  if (!heading) return false;
+
+  const previous = findPreviousSibling(headings, heading);
+  if (!previous) return false;
+
+  return moveSection(view, headings, heading.line, previous.line);
+}
+
+/**
+ * Move the section under the cursor below its next sibling
+ * @returns {boolean}
+ */
+export function moveSectionDown(view, headings) {
+  const lineNumber = view.state.doc.lineAt(view.state.selection.main.head).number;
+  const heading = findSectionHeading(headings, lineNumber);
+  if (!heading) return false;
+
+  const next = findNextSibling(headings, heading);
+  if (!next) return false;
+
+  return moveSection(view, headings, heading.line, next.endLine + 1);
+}
+
+/**
+ * Shift the level of the section under the cursor and of every heading nested
+ * inside it by `delta` (-1 promotes, +1 demotes). Refuses the whole change if
+ * any heading would end up above H1 or below H6.
+ *
+ * @param {EditorView} view
+ * @param {Array} headings - Heading entries from blockRangesField
+ * @param {number} delta
+ * @returns {boolean} True if the document changed
+ */
+export function shiftSectionLevel(view, headings, delta) {
+  const { state } = view;
+  const lineNumber = state.doc.lineAt(state.selection.main.head).number;
+  const heading = findSectionHeading(headings, lineNumber);
+  if (!heading) return false;
+
+  const subtree = headings.filter((h) => h.line >= heading.line && h.line <= heading.endLine);
+  if (subtree.some((h) => h.level + delta < 1 || h.level + delta > 6)) {
+    return false;
+  }
+
+  const changes = subtree.map((h) => {
+    const line = state.doc.line(h.line);
+    return { from: line.from, to: line.from + h.level, insert: '#'.repeat(h.level + delta) };
+  });
+
+  view.dispatch({ changes, userEvent: 'input.section' });
+  return true;
+}
+
+/**
+ * Find the heading on the given line, if any
+ * @returns {Object|null}
+ */
+export function findHeadingAtLine(headings, lineNumber) {
+  return headings.find((h) => h.line === lineNumber) || null;
+}
+
+/**
+ * Make an element a drag handle for the section starting at `headingLine`
+ */
+export function addSectionDragSource(element, headingLine) {
+  element.draggable = true;
+  element.addEventListener('dragstart', (e) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(SECTION_DRAG_TYPE, String(headingLine));
+    e.dataTransfer.setData('text/plain', '');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+}
+
+/**
+ * Make an element a drop target for sections. Dropping on the top half inserts
+ * the dragged section before the target heading, the bottom half after the
+ * target's whole section.
+ *
+ * @param {HTMLElement} element
+ * @param {EditorView} view
+ * @param {number} headingLine - Heading line the element represents
+ * @param {(state: EditorState) => Array} getHeadings - Reads current headings
+ */
+export function addSectionDropTarget(element, view, headingLine, getHeadings) {
+  const clear = () => {
+    element.classList.remove('cm-section-drop-before', 'cm-section-drop-after');
+  };
+
+  const dropsAfter = (e) => {
+    const rect = element.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  };
+
+  element.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes(SECTION_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    const after = dropsAfter(e);
+    element.classList.toggle('cm-section-drop-before', !after);
+    element.classList.toggle('cm-section-drop-after', after);
+  });
+
+  element.addEventListener('dragleave', clear);
+
+  element.addEventListener('drop', (e) => {
+    if (!e.dataTransfer.types.includes(SECTION_DRAG_TYPE)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    clear();
+
+    const fromLine = Number(e.dataTransfer.getData(SECTION_DRAG_TYPE));
+    const headings = getHeadings(view.state);
+    const target = headings.find((h) => h.line === headingLine);
+    if (!fromLine || !target) return;
+
+    moveSection(view, headings, fromLine, dropsAfter(e) ? target.endLine + 1 : target.line);
+  });
+}
@@ -0,0 +1,222 @@
+/**
+ * Smart Paste
+ *
+ * Converts rich clipboard content into markdown on paste:
+ * - `text/html` (web pages, Google Docs, Word) via htmlToMarkdown
+ * - tab-separated spreadsheet data (Excel, Google Sheets, Numbers) into a
+ *   pipe table
+ * - a URL pasted over selected text into `[selection](url)`, like actions.link
+ * - a bare URL pasted on an empty line into `[title](url)` once the optional
+ *   async `resolveLinkTitle(url)` resolves; the URL is inserted right away and
+ *   only replaced if it is still unchanged by then
+ *
+ * Plain text, HTML without formatting (such as code copied from an IDE) and
+ * anything pasted inside a fenced code block keep the default paste.
+ */
+
+import { EditorView, Decoration } from '@codemirror/view';
+import { StateField, StateEffect, Prec } from '@codemirror/state';
+import { blockRangesField } from './hybrid-preview.js';
+import { htmlToMarkdown, hasMarkdownFormatting } from '../utils/html-to-markdown.js';
+import { parseDelimited, delimitedToPipeTable } from '../utils/csv.js';
+import { parseTable, formatTable } from '../utils/table.js';
+
+/**
+ * Whether the cursor is inside a fenced code block
+ */
+function isInCodeBlock(state, pos) {
+  const ranges = state.field(blockRangesField, false);
+  if (!ranges) return false;
+  const lineNumber = state.doc.lineAt(pos).number;
+  return ranges.codeBlocks.some((range) => lineNumber >= range.start && lineNumber <= range.end);
+}
+
+const URL_REGEX = /^(https?:\/\/|mailto:)[^\s<>]+$/i;
+
+/**
+ * Links waiting for resolveLinkTitle: { id, from, to, url }, mapped through edits
+ */
+const addPendingLinkEffect = StateEffect.define();
+const removePendingLinkEffect = StateEffect.define();
+
+const pendingLinksField = StateField.define({
+  create() {
+    return [];
+  },
+  update(links, tr) {
+    if (tr.docChanged) {
+      links = links.map((link) => ({
+        ...link,
+        from: tr.changes.mapPos(link.from, 1),
+        to: tr.changes.mapPos(link.to, -1),
+      }));
+    }
+    for (const effect of tr.effects) {
+      if (effect.is(addPendingLinkEffect)) {
+        links = [...links, effect.value];
+      } else if (effect.is(removePendingLinkEffect)) {
+        links = links.filter((link) => link.id !== effect.value);
+      }
+    }
+    return links;
+  },
+  provide: (field) => EditorView.decorations.from(field, (links) =>
+    Decoration.set(
+      links
+        .filter((link) => link.to > link.from)
+        .map((link) => Decoration.mark({ class: 'cm-link-title-pending' }).range(link.from, link.to)),
+      true,
+    )),
+});
+
+let nextPendingLinkId = 0;
+
+/**
+ * Escape text for use as link text
+ */
+function escapeLinkText(text) {
+  return text.replace(/([[\]])/g, '\\$1');
+}
+
+/**
+ * Insert a bare URL and replace it with `[title](url)` once the title resolves
+ */
+function pasteUrlWithTitle(view, url, resolveLinkTitle) {
+  const { from, to } = view.state.selection.main;
+  const id = nextPendingLinkId++;
+
+  view.dispatch({
+    changes: { from, to, insert: url },
+    selection: { anchor: from + url.length },
+    effects: addPendingLinkEffect.of({ id, from, to: from + url.length, url }),
+    scrollIntoView: true,
+    userEvent: 'input.paste',
+  });
+
+  const finish = (title) => {
+    const link = view.state.field(pendingLinksField, false)?.find((entry) => entry.id === id);
+    if (!link) return;
+
+    const text = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+    const unchanged = view.state.doc.sliceString(link.from, link.to) === url;
+    if (!text || !unchanged || view.state.readOnly) {
+      view.dispatch({ effects: removePendingLinkEffect.of(id) });
+      return;
+    }
+
+    view.dispatch({
+      changes: { from: link.from, to: link.to, insert: `[${escapeLinkText(text)}](${url})` },
+      effects: removePendingLinkEffect.of(id),
+      userEvent: 'input.paste',
+    });
+  };
+
+  Promise.resolve()
+    .then(() => resolveLinkTitle(url))
+    .then(finish, () => finish(null));
+}
+
+/**
+ * Whether plain text looks like cells copied from a spreadsheet:
+ * at least two rows with the same number (two or more) of tab-separated cells
+ */
+function isSpreadsheetText(text) {
+  if (!text.includes('\t')) return false;
+  const rows = parseDelimited(text, '\t');
+  return rows.length >= 2 && rows[0].length >= 2 && rows.every((row) => row.length === rows[0].length);
+}
+
+/**
+ * Insert markdown in place of the selection. Multi-line content that starts
+ * or ends mid-line is moved onto its own lines.
+ */
+function insertMarkdown(view, text) {
+  const { state } = view;
+  const { from, to } = state.selection.main;
+  let insert = text;
+
+  if (text.includes('\n')) {
+    const startLine = state.doc.lineAt(from);
+    const endLine = state.doc.lineAt(to);
+    if (state.doc.sliceString(startLine.from, from).trim()) insert = `\n\n${insert}`;
+    if (state.doc.sliceString(to, endLine.to).trim()) insert = `${insert}\n\n`;
+  }
+
+  view.dispatch({
+    changes: { from, to, insert },
+    selection: { anchor: from + insert.length },
+    scrollIntoView: true,
+    userEvent: 'input.paste',
+  });
+}
+
+/**
+ * Create the smart paste extension
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Convert `text/html` to markdown
+ * @param {boolean} [options.spreadsheets=true] - Convert tab-separated data to a pipe table
+ * @param {boolean} [options.links=true] - Paste a URL over selected text as `[selection](url)`
+ * @param {(url: string) => Promise<string|null>} [options.resolveLinkTitle] - Title for a bare URL pasted on an empty line
+ * @returns {Extension[]}
+ */
+export function smartPaste(options = {}) {
+  const { html = true, spreadsheets = true, links = true, resolveLinkTitle } = options;
+
+  const handlers = EditorView.domEventHandlers({
+    paste(event, view) {
+      const data = event.clipboardData;
+      if (!data || view.state.readOnly) return false;
+      if (isInCodeBlock(view.state, view.state.selection.main.from)) return false;
+
+      const text = data.getData('text/plain');
+      const url = text.trim();
+
+      if (links && URL_REGEX.test(url)) {
+        const { from, to } = view.state.selection.main;
+        const selection = view.state.sliceDoc(from, to);
+        const line = view.state.doc.lineAt(from);
+
+        if (selection.trim() && !URL_REGEX.test(selection.trim())) {
+          event.preventDefault();
+          const insert = `[${escapeLinkText(selection)}](${url})`;
+          view.dispatch({
+            changes: { from, to, insert },
+            selection: { anchor: from + insert.length },
+            scrollIntoView: true,
+            userEvent: 'input.paste',
+          });
+          return true;
+        }
+
+        if (!selection && !line.text.trim() && typeof resolveLinkTitle === 'function') {
+          event.preventDefault();
+          pasteUrlWithTitle(view, url, resolveLinkTitle);
+          return true;
+        }
+      }
+
+      // Spreadsheets also put an HTML table on the clipboard; the tab-separated
+      // text keeps numbers and empty cells more faithfully
+      if (spreadsheets && isSpreadsheetText(text)) {
+        event.preventDefault();
+        insertMarkdown(view, formatTable(parseTable(delimitedToPipeTable(text, '\t'))).join('\n'));
+        return true;
+      }
+
+      const markup = html ? data.getData('text/html') : '';
+      if (markup && hasMarkdownFormatting(markup)) {
+        const markdown = htmlToMarkdown(markup);
+        if (markdown) {
+          event.preventDefault();
+          insertMarkdown(view, markdown);
+          return true;
+        }
+      }
+
+      return false;
+    },
+  });
+
+  // Ahead of @codemirror/lang-markdown's own URL paste handler
+  return [Prec.high(handlers), pendingLinksField];
+}
@@ -0,0 +1,216 @@
+/**
+ * Table commands shared by actions and the table preview's context menu.
+ *
+ * Commands act on one cell of a pipe table: the cell under the cursor (see
+ * getTableCellAtCursor, which takes the `tables` ranges from blockRangesField
+ * as a parameter to avoid a circular import) or a cell picked in the rendered
+ * table. Each command rewrites the whole table as an aligned pipe table in a
+ * single transaction.
+ */
+
+import {
+  parseTable,
+  formatTable,
+  getColumnAt,
+  getCellOffset,
+  insertRow,
+  deleteRow,
+  insertColumn,
+  deleteColumn,
+  moveColumn,
+  setColumnAlignment,
+  sortRows,
+} from '../utils/table.js';
+
+/**
+ * Table commands: (table, row, col, arg) => { table, row, col } with the cell
+ * to select afterwards, or null when the command does not apply.
+ * Row 0 is the header row.
+ */
+export const TABLE_COMMANDS = {
+  insertRowAbove: (table, row, col) =>
+    (row === 0 ? null : { table: insertRow(table, row), row, col }),
+  insertRowBelow: (table, row, col) =>
+    ({ table: insertRow(table, row + 1), row: row + 1, col }),
+  deleteRow: (table, row, col) =>
+    (row === 0 ? null : { table: deleteRow(table, row), row: Math.min(row, table.rows.length - 1), col }),
+  insertColumnLeft: (table, row, col) =>
+    ({ table: insertColumn(table, col), row, col }),
+  insertColumnRight: (table, row, col) =>
+    ({ table: insertColumn(table, col + 1), row, col: col + 1 }),
+  deleteColumn: (table, row, col) =>
+    (table.header.length < 2 ? null : { table: deleteColumn(table, col), row, col: Math.min(col, table.header.length - 2) }),
+  moveColumnLeft: (table, row, col) =>
+    (col === 0 ? null : { table: moveColumn(table, col, col - 1), row, col: col - 1 }),
+  moveColumnRight: (table, row, col) =>
+    (col >= table.header.length - 1 ? null : { table: moveColumn(table, col, col + 1), row, col: col + 1 }),
+  alignColumn: (table, row, col, align = null) =>
+    ({ table: setColumnAlignment(table, col, align), row, col }),
+  sortRows: (table, row, col, direction = 'asc') =>
+    (table.rows.length < 2 ? null : { table: sortRows(table, col, direction), row, col }),
+};
+
+/**
+ * Find the table cell under the cursor
+ * @param {EditorState} state
+ * @param {Array<{start: number, end: number}>} tables - Table ranges from blockRangesField
+ * @returns {{ from: number, lines: string[], row: number, col: number }|null}
+ */
+export function getTableCellAtCursor(state, tables) {
+  const { doc } = state;
+  const head = state.selection.main.head;
+  const line = doc.lineAt(head);
+  const range = tables.find((r) => line.number >= r.start && line.number <= r.end);
+  if (!range) return null;
+
+  const lines = [];
+  for (let i = range.start; i <= range.end; i++) {
+    lines.push(doc.line(i).text);
+  }
+  const table = parseTable(lines);
+  if (!table) return null;
+
+  // The separator line belongs to the header row
+  const index = line.number - range.start;
+  const row = index <= 1 ? 0 : index - 1;
+  const col = Math.min(getColumnAt(line.text, head - line.from), table.header.length - 1);
+
+  return { from: doc.line(range.start).from, lines, row, col };
+}
+
+/**
+ * Run a table command on a cell and rewrite the table
+ * @param {EditorView} view
+ * @param {{ from: number, lines: string[], row: number, col: number }} cell
+ * @param {string} name - Key of TABLE_COMMANDS
+ * @param {*} [arg] - Alignment for alignColumn, direction for sortRows
+ * @param {Object} [options]
+ * @param {boolean} [options.select] - Move the cursor to the resulting cell
+ * @returns {boolean} True if the document changed
+ */
+export function runTableCommand(view, cell, name, arg, options = {}) {
+  const table = parseTable(cell.lines);
+  const result = table && TABLE_COMMANDS[name]?.(table, cell.row, cell.col, arg);
+  if (!result) return false;
+
+  const source = cell.lines.join('\n');
+  const lines = formatTable(result.table);
+  const insert = lines.join('\n');
+  if (insert === source) return false;
+
+  const transaction = {
+    changes: { from: cell.from, to: cell.from + source.length, insert },
+  };
+
+  if (options.select) {
+    const index = result.row === 0 ? 0 : result.row + 1;
+    let offset = cell.from;
+    for (let i = 0; i < index; i++) offset += lines[i].length + 1;
+    transaction.selection = { anchor: offset + getCellOffset(lines[index], result.col) };
+  }
+
+  view.dispatch(transaction);
+  return true;
+}
+
+// ============================================================================
+// CONTEXT MENU
+// ============================================================================
+
+const TABLE_MENU_ITEMS = [
+  { label: 'Insert row above', command: 'insertRowAbove' },
+  { label: 'Insert row below', command: 'insertRowBelow' },
+  { label: 'Delete row', command: 'deleteRow' },
+  { type: 'separator' },
+  { label: 'Insert column left', command: 'insertColumnLeft' },
+  { label: 'Insert column right', command: 'insertColumnRight' },
+  { label: 'Delete column', command: 'deleteColumn' },
+  { label: 'Move column left', command: 'moveColumnLeft' },
+  { label: 'Move column right', command: 'moveColumnRight' },
+  { type: 'separator' },
+  { label: 'Align left', command: 'alignColumn', arg: 'left' },
+  { label: 'Align center', command: 'alignColumn', arg: 'center' },
+  { label: 'Align right', command: 'alignColumn', arg: 'right' },
+  { type: 'separator' },
+  { label: 'Sort ascending', command: 'sortRows', arg: 'asc' },
+  { label: 'Sort descending', command: 'sortRows', arg: 'desc' },
+];
+
+/**
+ * Closes the open table menu, if any
+ */
+let closeOpenMenu = null;
+
+/**
+ * Show the table context menu for a cell at the given client coordinates.
+ * Commands that do not apply to the cell are disabled.
+ *
+ * @param {EditorView} view
+ * @param {Object} options
+ * @param {string[]} options.lines - Source lines of the table
+ * @param {number} options.row
+ * @param {number} options.col
+ * @param {number} options.x - Client x coordinate
+ * @param {number} options.y - Client y coordinate
+ * @param {(name: string, arg: *) => void} options.onCommand - Runs the picked command
+ */
+export function showTableMenu(view, { lines, row, col, x, y, onCommand }) {
+  closeOpenMenu?.();
+
+  const table = parseTable(lines);
+  if (!table) return;
+
+  const menu = document.createElement('div');
+  menu.className = 'cm-table-menu';
+
+  for (const item of TABLE_MENU_ITEMS) {
+    if (item.type === 'separator') {
+      const sep = document.createElement('div');
+      sep.className = 'cm-table-menu-separator';
+      menu.appendChild(sep);
+      continue;
+    }
+
+    const btn = document.createElement('button');
+    btn.className = 'cm-table-menu-item';
+    btn.textContent = item.label;
+    btn.dataset.command = item.command;
+    btn.disabled = !TABLE_COMMANDS[item.command](table, row, col, item.arg);
+    btn.addEventListener('mousedown', (e) => e.preventDefault());
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+      onCommand(item.command, item.arg);
+    });
+    menu.appendChild(btn);
+  }
+
+  const onDocMouseDown = (e) => {
+    if (!menu.contains(e.target)) close();
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') close();
+  };
+
+  function close() {
+    menu.remove();
+    document.removeEventListener('mousedown', onDocMouseDown, true);
+    document.removeEventListener('keydown', onKeyDown, true);
+    view.scrollDOM.removeEventListener('scroll', close);
+    if (closeOpenMenu === close) closeOpenMenu = null;
+  }
+
+  document.addEventListener('mousedown', onDocMouseDown, true);
+  document.addEventListener('keydown', onKeyDown, true);
+  view.scrollDOM.addEventListener('scroll', close);
+  closeOpenMenu = close;
+
+  // Position relative to the editor, kept inside its bounds
+  const rect = view.dom.getBoundingClientRect();
+  view.dom.appendChild(menu);
+  const left = Math.max(0, Math.min(x - rect.left, rect.width - menu.offsetWidth));
+  const top = Math.max(0, Math.min(y - rect.top, rect.height - menu.offsetHeight));
+  menu.style.left = `${left}px`;
+  menu.style.top = `${top}px`;
+}
@@ -0,0 +1,57 @@
+/**
+ * Table Formatting
+ *
+ * Re-pads a pipe table to aligned column widths when the cursor leaves it,
+ * so tables typed in raw markdown stay readable. Tables are found with the
+ * same detection as the preview (the `tables` ranges in blockRangesField),
+ * and column widths count CJK and emoji as two columns.
+ *
+ * The formatting change is appended to the transaction that moves the cursor
+ * out, so a single undo restores both.
+ */
+
+import { EditorState } from '@codemirror/state';
+import { blockRangesField } from './hybrid-preview.js';
+import { parseTable, formatTable } from '../utils/table.js';
+
+/**
+ * Find the table range containing a position
+ */
+function findTableAt(state, pos) {
+  const lineNumber = state.doc.lineAt(pos).number;
+  const { tables } = state.field(blockRangesField);
+  return tables.find((range) => lineNumber >= range.start && lineNumber <= range.end) || null;
+}
+
+const formatTablesFilter = EditorState.transactionFilter.of((tr) => {
+  if (!tr.selection || tr.startState.readOnly) return tr;
+  if (tr.isUserEvent('undo') || tr.isUserEvent('redo')) return tr;
+
+  // Only when the cursor was in a table before this transaction
+  const startHead = tr.startState.selection.main.head;
+  if (!findTableAt(tr.startState, startHead)) return tr;
+
+  const { state } = tr;
+  const range = findTableAt(state, tr.changes.mapPos(startHead));
+  if (!range) return tr;
+
+  const from = state.doc.line(range.start).from;
+  const to = state.doc.line(range.end).to;
+  const head = state.selection.main.head;
+  if (head >= from && head <= to) return tr;
+
+  const source = state.doc.sliceString(from, to);
+  const table = parseTable(source.split('\n'));
+  if (!table) return tr;
+
+  const insert = formatTable(table).join('\n');
+  if (insert === source) return tr;
+
+  return [tr, { changes: { from, to, insert }, sequential: true }];
+});
+
+/**
+ * Extension that formats a pipe table when the cursor leaves it
+ * (enabled by the `formatTables` option of hybridMarkdown)
+ */
+export const tableFormatter = [blockRangesField, formatTablesFilter];
@@ -29,6 +29,9 @@ export function tagAutocomplete({ tags = [] } = {}) {
     // Skip if this looks like a heading (line starts with #)
     if (/^#{1,6}\s/.test(lineText)) return null;
 
+    // Inside a wiki link, `#` starts a heading reference
+    if (/\[\[[^[\]\n]*$/.test(lineText.slice(0, match.from - line.from))) return null;
+
     const query = match.text.slice(1).toLowerCase();
 
     const options = tags
@@ -1,19 +1,28 @@
+import { blockRangesField } from './hybrid-preview.js';
+
 /**
  * Create a searchable note index for wiki-link autocomplete.
  *
- * @param {Array<{title: string, aliases?: string[]}>} notes - Array of note objects
+ * Notes may list their `headings` and `blocks` (block IDs) for `[[Note#` and
+ * `[[Note^` completion, or provide `loadOutline()` resolving to
+ * `{ headings, blocks }` when they are only known on demand.
+ *
+ * @param {Array<{title: string, aliases?: string[], headings?: Array, blocks?: Array, loadOutline?: Function}>} notes - Array of note objects
  * @returns {{search: (query: string) => Array, resolve: (title: string) => Object|null}} Note index
  *
  * @example
  * const noteIndex = createNoteIndex([
- *   { title: 'Project Plan', aliases: ['Plan'] },
- *   { title: 'Meeting Notes' },
+ *   { title: 'Project Plan', aliases: ['Plan'], headings: ['Goals', 'Timeline'] },
+ *   { title: 'Meeting Notes', loadOutline: () => fetchOutline('Meeting Notes') },
  * ]);
  */
 export function createNoteIndex(notes = []) {
   const entries = notes.map((note) => ({
     title: note.title,
     aliases: Array.isArray(note.aliases) ? note.aliases : [],
+    headings: Array.isArray(note.headings) ? note.headings : null,
+    blocks: Array.isArray(note.blocks) ? note.blocks : null,
+    loadOutline: typeof note.loadOutline === 'function' ? note.loadOutline : null,
     normalizedTitle: note.title.toLowerCase(),
     normalizedAliases: Array.isArray(note.aliases)
       ? note.aliases.map((alias) => alias.toLowerCase())
@@ -64,6 +73,93 @@ function defaultFormatLink(note) {
   return `${note.title}]]`;
 }
 
+/**
+ * Headings and block IDs of a note entry, loaded through `loadOutline()`
+ * when the entry does not list them
+ * @returns {{headings: Array, blocks: Array}|Promise<{headings: Array, blocks: Array}>}
+ */
+function getNoteOutline(note) {
+  const listed = { headings: note.headings || [], blocks: note.blocks || [] };
+  if ((note.headings && note.blocks) || typeof note.loadOutline !== 'function') return listed;
+
+  return Promise.resolve()
+    .then(() => note.loadOutline(note))
+    .then((outline) => ({
+      headings: note.headings || (outline && outline.headings) || [],
+      blocks: note.blocks || (outline && outline.blocks) || [],
+    }), () => listed);
+}
+
+/**
+ * Completion options for headings, given as strings or `{ text, level }`
+ */
+function headingOptions(headings) {
+  return headings.map((heading) => {
+    const text = typeof heading === 'string' ? heading : heading.text;
+    const level = typeof heading === 'string' ? null : heading.level;
+    return {
+      label: text,
+      detail: level ? `H${level}` : undefined,
+      apply: `${text}]]`,
+      type: 'text',
+    };
+  });
+}
+
+/**
+ * Completion options for block IDs, given as strings or `{ id, text }`.
+ * `prefix` is inserted before the ID (`#^` when the user typed only `^`).
+ */
+function blockOptions(blocks, prefix) {
+  return blocks.map((block) => {
+    const id = typeof block === 'string' ? block : block.id;
+    const text = typeof block === 'string' ? '' : block.text || '';
+    return {
+      label: `^${id}`,
+      detail: text.length > 40 ? `${text.slice(0, 40)}…` : text || undefined,
+      apply: `${prefix}${id}]]`,
+      type: 'text',
+    };
+  });
+}
+
+/**
+ * Completion for the part of a link after `#` or `^`: headings of the current
+ * document (`[[#`), headings of a note (`[[Note#`) or its block IDs
+ * (`[[Note^`, `[[Note#^`)
+ */
+function completeAnchor(context, noteIndex, match, query, anchorIndex) {
+  const title = query.slice(0, anchorIndex);
+  const marker = query[anchorIndex];
+  let rest = query.slice(anchorIndex + 1);
+  const isBlock = marker === '^' || rest.startsWith('^');
+  if (marker === '#' && isBlock) rest = rest.slice(1);
+  if (/[#^|]/.test(rest)) return null;
+
+  const result = (options) => ({
+    // Block options are labelled `^id`, so they start at the caret
+    from: match.to - rest.length - (isBlock ? 1 : 0),
+    to: match.to,
+    options,
+    validFor: isBlock ? /^\^[\w-]*$/ : /^[^[\]\n#^|]*$/,
+  });
+
+  if (!title) {
+    if (isBlock) return null;
+    const ranges = context.state.field(blockRangesField, false);
+    return ranges ? result(headingOptions(ranges.headings)) : null;
+  }
+
+  const note = noteIndex.resolve(title);
+  if (!note) return null;
+
+  const build = (outline) => result(isBlock
+    ? blockOptions(outline.blocks, marker === '^' ? '#^' : '^')
+    : headingOptions(outline.headings));
+  const outline = getNoteOutline(note);
+  return typeof outline.then === 'function' ? outline.then(build) : build(outline);
+}
+
 /**
  * Resolve a wiki link against a note index.
  *
@@ -78,7 +174,9 @@ export function resolveWikiLink(noteIndex, link) {
 
 /**
  * Create a wiki-link completion source for use with @codemirror/autocomplete.
- * Triggers after typing `[[` and provides note title suggestions.
+ * Triggers after typing `[[` and provides note title suggestions, then
+ * heading suggestions after `[[Note#`, block IDs after `[[Note^` and the
+ * current document's headings after `[[#`.
  *
  * Returns a completion source function — combine with other sources
  * in a single `autocompletion({ override: [...] })` call.
@@ -106,6 +204,11 @@ export function wikiLinkAutocomplete({ noteIndex, formatLink } = {}) {
     if (!match) return null;
 
     const query = match.text.slice(2);
+    const anchorIndex = query.search(/[#^]/);
+    if (anchorIndex !== -1) {
+      return completeAnchor(context, noteIndex, match, query, anchorIndex);
+    }
+
     const results = noteIndex.search(query);
     const options = results.map((note) => ({
       label: note.title,
@@ -0,0 +1,249 @@
+/**
+ * Wiki Link Preview
+ *
+ * Shows a popover with the target note's content when the pointer rests on a
+ * rendered wiki link (any `[data-wikilink]` element in the preview, read mode
+ * or an embed). The markdown comes from the app's async
+ * `resolveNotePreview(link)` callback and is rendered with the preview's
+ * markdown pipeline. For `[[Note#Section]]` the popover scrolls to that
+ * heading, and for `[[Note#^block-id]]` to that block.
+ *
+ * The popover stays open while the pointer moves from the link into it, and
+ * closes on Escape, scrolling, editing or a click elsewhere.
+ */
+
+import { ViewPlugin } from '@codemirror/view';
+import {
+  getWikiLinkData,
+  getPreviewRenderOptions,
+  getPreviewClickHandlers,
+  prepareRenderedImages,
+} from './hybrid-preview.js';
+import { parseHeading, renderDocument, stripFrontmatter } from '../utils/markdown.js';
+
+const OPEN_DELAY = 400;
+const CLOSE_DELAY = 200;
+
+/**
+ * Find the rendered block (paragraph or list item) carrying a `^block-id`
+ */
+function findBlock(container, id) {
+  const marker = Array.from(container.querySelectorAll('[data-block-id]'))
+    .find((element) => element.getAttribute('data-block-id') === id);
+  return marker ? marker.closest('p, li') || marker : null;
+}
+
+/**
+ * Find the rendered heading for a section by its ID or text (case-insensitive)
+ */
+function findSectionHeading(container, section) {
+  const target = section.trim().toLowerCase();
+  return Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6')).find((heading) => {
+    // renderDocument keeps `{#id}` / `[#id]` in the heading text
+    const { text, id } = parseHeading(`# ${heading.textContent.trim()}`);
+    return [heading.id, id, text.trim()].some((value) => value && value.toLowerCase() === target);
+  }) || null;
+}
+
+function showPreviewMessage(content, type, message) {
+  content.textContent = '';
+  const note = document.createElement('div');
+  note.className = `cm-wikilink-preview-message cm-wikilink-preview-${type}`;
+  note.textContent = message;
+  content.appendChild(note);
+}
+
+class WikiLinkPreviewPlugin {
+  constructor(view, resolveNotePreview) {
+    this.view = view;
+    this.resolveNotePreview = resolveNotePreview;
+    this.popover = null;
+    this.anchor = null;
+    this.openTimer = null;
+    this.closeTimer = null;
+    // Bumped per popover so a late resolveNotePreview result is dropped
+    this.requestId = 0;
+
+    this.onMouseOver = (e) => this.handleMouseOver(e);
+    this.onMouseOut = (e) => this.handleMouseOut(e);
+    this.onDocMouseDown = (e) => {
+      if (this.popover && !this.popover.contains(e.target)) this.close();
+    };
+    this.onKeyDown = (e) => {
+      if (e.key === 'Escape') this.close();
+    };
+    this.onScroll = () => this.close();
+
+    view.dom.addEventListener('mouseover', this.onMouseOver);
+    view.dom.addEventListener('mouseout', this.onMouseOut);
+  }
+
+  update(update) {
+    if (update.docChanged) this.close();
+  }
+
+  destroy() {
+    this.close();
+    this.view.dom.removeEventListener('mouseover', this.onMouseOver);
+    this.view.dom.removeEventListener('mouseout', this.onMouseOut);
+  }
+
+  handleMouseOver(e) {
+    if (this.popover && this.popover.contains(e.target)) {
+      clearTimeout(this.closeTimer);
+      return;
+    }
+
+    const link = e.target.closest && e.target.closest('[data-wikilink]');
+    // Same-note links (`[[#Heading]]`) have no note to preview
+    if (!link || !link.getAttribute('data-wikilink-title')) return;
+    if (link === this.anchor) {
+      clearTimeout(this.closeTimer);
+      return;
+    }
+
+    clearTimeout(this.openTimer);
+    this.openTimer = setTimeout(() => this.open(link), OPEN_DELAY);
+  }
+
+  handleMouseOut(e) {
+    const next = e.relatedTarget;
+    const link = e.target.closest && e.target.closest('[data-wikilink]');
+    if (link && next && link.contains(next)) return;
+    if (this.popover && next && this.popover.contains(next)) return;
+    if (this.anchor && next && this.anchor.contains(next)) return;
+
+    clearTimeout(this.openTimer);
+    if (this.popover) {
+      clearTimeout(this.closeTimer);
+      this.closeTimer = setTimeout(() => this.close(), CLOSE_DELAY);
+    }
+  }
+
+  open(anchor) {
+    if (!anchor.isConnected) return;
+    this.close();
+
+    const { view } = this;
+    const link = getWikiLinkData(anchor);
+    const requestId = ++this.requestId;
+
+    const popover = document.createElement('div');
+    popover.className = 'cm-wikilink-preview';
+
+    const header = document.createElement('div');
+    header.className = 'cm-wikilink-preview-title';
+    header.textContent = link.section ? `${link.title} › ${link.section}` : link.title;
+    popover.appendChild(header);
+
+    const content = document.createElement('div');
+    content.className = 'cm-wikilink-preview-content';
+    showPreviewMessage(content, 'loading', 'Loading…');
+    popover.appendChild(content);
+
+    // Links inside the popover (and its title) navigate like preview links
+    popover.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const { onWikiLinkClick, onCreateNote } = getPreviewClickHandlers(view.state);
+      const target = e.target.closest('[data-wikilink]');
+      if (target) {
+        if (onCreateNote && target.classList.contains('md-wikilink-missing')) {
+          onCreateNote(target.getAttribute('data-wikilink-title') || '');
+        } else if (onWikiLinkClick) {
+          onWikiLinkClick(getWikiLinkData(target));
+        }
+        this.close();
+      } else if (header.contains(e.target) && onWikiLinkClick) {
+        onWikiLinkClick(link);
+        this.close();
+      }
+    });
+
+    this.popover = popover;
+    this.anchor = anchor;
+    view.dom.appendChild(popover);
+    this.position();
+
+    document.addEventListener('mousedown', this.onDocMouseDown, true);
+    document.addEventListener('keydown', this.onKeyDown, true);
+    view.scrollDOM.addEventListener('scroll', this.onScroll);
+
+    Promise.resolve()
+      .then(() => this.resolveNotePreview(link))
+      .then((markdown) => {
+        if (requestId !== this.requestId) return;
+        if (typeof markdown !== 'string') {
+          showPreviewMessage(content, 'missing', `Note not found: ${link.title}`);
+          this.position();
+          return;
+        }
+
+        const { line, block } = getPreviewRenderOptions(view.state);
+        content.innerHTML = renderDocument(stripFrontmatter(markdown), {
+          ...block,
+          enableTags: line.enableTags,
+        });
+        prepareRenderedImages(view, content);
+        this.position();
+
+        let target = null;
+        if (link.block) target = findBlock(content, link.block);
+        else if (link.section) target = findSectionHeading(content, link.section);
+        if (target) {
+          target.classList.add('cm-wikilink-preview-target');
+          content.scrollTop = target.offsetTop;
+        }
+      }, () => {
+        if (requestId !== this.requestId) return;
+        showPreviewMessage(content, 'error', `Could not load ${link.title}`);
+      });
+  }
+
+  /**
+   * Place the popover under its link (above when there is no room below),
+   * kept inside the editor horizontally
+   */
+  position() {
+    const { popover, anchor, view } = this;
+    if (!popover || !anchor) return;
+
+    const rect = anchor.getBoundingClientRect();
+    const editorRect = view.dom.getBoundingClientRect();
+    const left = Math.max(0, Math.min(rect.left - editorRect.left, editorRect.width - popover.offsetWidth));
+    const below = rect.bottom + 4 + popover.offsetHeight <= window.innerHeight;
+    const top = below || rect.top - 4 - popover.offsetHeight < 0
+      ? rect.bottom - editorRect.top + 4
+      : rect.top - editorRect.top - 4 - popover.offsetHeight;
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
+  }
+
+  close() {
+    clearTimeout(this.openTimer);
+    clearTimeout(this.closeTimer);
+    if (!this.popover) return;
+
+    this.requestId++;
+    this.popover.remove();
+    this.popover = null;
+    this.anchor = null;
+    document.removeEventListener('mousedown', this.onDocMouseDown, true);
+    document.removeEventListener('keydown', this.onKeyDown, true);
+    this.view.scrollDOM.removeEventListener('scroll', this.onScroll);
+  }
+}
+
+/**
+ * Create the wiki link hover preview extension
+ * @param {Object} options
+ * @param {(link: {raw: string, title: string, section: string, alias: string, block: string, display: string}) => Promise<string|null>} options.resolveNotePreview
+ *   Loads the markdown of the linked note (null when it does not exist)
+ * @returns {Extension[]}
+ */
+export function wikiLinkPreview(options = {}) {
+  const { resolveNotePreview } = options;
+  if (typeof resolveNotePreview !== 'function') return [];
+
+  return [ViewPlugin.define((view) => new WikiLinkPreviewPlugin(view, resolveNotePreview))];
+}
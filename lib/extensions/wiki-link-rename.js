@@ -0,0 +1,91 @@
+/**
+ * Wiki Link Rename
+ *
+ * Rewrites links to a renamed note: `[[Old]]`, `[[Old|alias]]`,
+ * `[[Old#Section]]`, `[[Old#^block-id]]` and embeds (`![[Old]]`) get the new
+ * title while their section, block ID and alias are kept. Titles match
+ * case-insensitively, like note index lookups. Links in inline code and
+ * fenced code blocks are left alone.
+ *
+ * renameWikiLinkTarget edits an open editor in one undoable transaction;
+ * renameWikiLinkTargetInText does the same for markdown that is not open.
+ */
+
+import { findWikiLinks } from '../utils/markdown.js';
+import { allowReadOnlyEdit } from './read-only.js';
+
+/**
+ * Whether a title can be written inside `[[...]]` as is
+ */
+function isValidTitle(title) {
+  return typeof title === 'string' && title === title.trim() && !!title && !/[[\]|#^\n]/.test(title);
+}
+
+/**
+ * Changes that point the links in `text` at `newTitle`
+ * @returns {Array<{from: number, to: number, insert: string}>}
+ */
+function findRenameChanges(text, oldTitle, newTitle) {
+  const target = typeof oldTitle === 'string' ? oldTitle.trim().toLowerCase() : '';
+  if (!target || !isValidTitle(newTitle)) return [];
+
+  const changes = [];
+  let fence = null;
+  let offset = 0;
+
+  for (const line of text.split('\n')) {
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+    } else if (!fence) {
+      for (const { from, meta } of findWikiLinks(line)) {
+        if (meta.title.toLowerCase() !== target) continue;
+        // The title directly follows `[[` (findWikiLinks rejects padded titles)
+        const start = offset + from + (meta.embed ? 3 : 2);
+        changes.push({ from: start, to: start + meta.title.length, insert: newTitle });
+      }
+    }
+    offset += line.length + 1;
+  }
+
+  return changes;
+}
+
+/**
+ * Point every wiki link to `oldTitle` in a markdown string at `newTitle`
+ * @param {string} text
+ * @param {string} oldTitle
+ * @param {string} newTitle - Must not contain `[`, `]`, `|`, `#` or `^`
+ * @returns {string} The updated text (unchanged when nothing matched)
+ */
+export function renameWikiLinkTargetInText(text, oldTitle, newTitle) {
+  const changes = findRenameChanges(text, oldTitle, newTitle);
+  let result = text;
+  for (let i = changes.length - 1; i >= 0; i--) {
+    const { from, to, insert } = changes[i];
+    result = result.slice(0, from) + insert + result.slice(to);
+  }
+  return result;
+}
+
+/**
+ * Point every wiki link to `oldTitle` in the editor at `newTitle`, as one
+ * undoable transaction. Applies in read-only mode too, since the app is
+ * keeping links in step with its notes.
+ * @param {EditorView} view
+ * @param {string} oldTitle
+ * @param {string} newTitle - Must not contain `[`, `]`, `|`, `#` or `^`
+ * @returns {number} How many links were renamed
+ */
+export function renameWikiLinkTarget(view, oldTitle, newTitle) {
+  const changes = findRenameChanges(view.state.doc.toString(), oldTitle, newTitle);
+  if (changes.length === 0) return 0;
+
+  view.dispatch({
+    changes,
+    annotations: allowReadOnlyEdit.of(true),
+    userEvent: 'input.rename',
+  });
+  return changes.length;
+}
@@ -11,6 +11,8 @@ export type WikiLinkPayload = {
   title: string;
   section: string;
   alias: string;
+  /** Block ID of a `[[Note#^block-id]]` link, or an empty string */
+  block: string;
   display: string;
 };
 
@@ -18,9 +20,18 @@ export type WikiLinkPayload = {
 // Note index (for wiki-link autocomplete)
 // ---------------------------------------------------------------------------
 
+export type NoteHeading = string | { text: string; level?: number };
+export type NoteBlock = string | { id: string; text?: string };
+
 export interface NoteEntry {
   title: string;
   aliases?: string[];
+  /** Headings offered after `[[Title#` */
+  headings?: NoteHeading[];
+  /** Block IDs offered after `[[Title^` */
+  blocks?: NoteBlock[];
+  /** Loads headings and blocks the entry does not list */
+  loadOutline?: (note: NoteEntry) => Promise<{ headings?: NoteHeading[]; blocks?: NoteBlock[] }>;
 }
 
 export interface NoteIndex {
@@ -40,6 +51,19 @@ export function wikiLinkAutocomplete(options?: {
   formatLink?: (note: NoteEntry) => string;
 }): CompletionSource;
 
+/** Loads the markdown of a wiki link's target for its hover preview. */
+export type NotePreviewResolver = (link: WikiLinkPayload) => Promise<string | null | undefined>;
+
+/**
+ * Points links to `oldTitle` (matched case-insensitively) at `newTitle`, keeping
+ * sections, block IDs and aliases and skipping code. One undoable transaction.
+ * Returns how many links were renamed.
+ */
+export function renameWikiLinkTarget(view: EditorView, oldTitle: string, newTitle: string): number;
+
+/** String variant of renameWikiLinkTarget for notes that are not open. */
+export function renameWikiLinkTargetInText(text: string, oldTitle: string, newTitle: string): string;
+
 // ---------------------------------------------------------------------------
 // Tag autocomplete
 // ---------------------------------------------------------------------------
@@ -48,6 +72,61 @@ export function tagAutocomplete(options?: {
   tags?: string[];
 }): CompletionSource;
 
+// ---------------------------------------------------------------------------
+// markdown-it plugins
+// ---------------------------------------------------------------------------
+
+export type MarkdownItPlugin = (md: any, ...params: any[]) => void;
+export type MarkdownPluginEntry = MarkdownItPlugin | [MarkdownItPlugin, ...any[]];
+
+// ---------------------------------------------------------------------------
+// Custom block renderers
+// ---------------------------------------------------------------------------
+
+export interface BlockRendererContext {
+  language: string;
+  info: string;
+  view: EditorView;
+  from: number;
+  to: number;
+}
+
+export type BlockRenderer = (content: string, context: BlockRendererContext) => Node;
+
+// ---------------------------------------------------------------------------
+// Smart paste
+// ---------------------------------------------------------------------------
+
+export interface SmartPasteOptions {
+  html?: boolean;
+  spreadsheets?: boolean;
+  links?: boolean;
+  resolveLinkTitle?: (url: string) => Promise<string | null | undefined>;
+}
+
+// ---------------------------------------------------------------------------
+// Images
+// ---------------------------------------------------------------------------
+
+export type ImageUrlResolver = (
+  src: string,
+  context: { alt: string; embed: boolean; view: EditorView },
+) => string | null | Promise<string | null>;
+
+export type ImageUploadHandler = (
+  file: File,
+  context: { onProgress: (fraction: number) => void },
+) => Promise<string>;
+
+// ---------------------------------------------------------------------------
+// Note embeds
+// ---------------------------------------------------------------------------
+
+/** Loads the markdown of a note embedded with `![[Note]]` or `![[Note#Section]]`. */
+export type EmbedResolver = (
+  link: WikiLinkPayload & { section: string | null; alias: string | null; embed: true },
+) => Promise<string | null | undefined>;
+
 // ---------------------------------------------------------------------------
 // hybridMarkdown (main entry)
 // ---------------------------------------------------------------------------
@@ -62,17 +141,31 @@ export interface HybridMarkdownOptions {
   enableWikiLinks?: boolean;
   renderWikiLinks?: boolean;
   onWikiLinkClick?: (link: WikiLinkPayload) => void;
+  noteIndex?: NoteIndex;
+  onCreateNote?: (title: string) => void;
+  resolveNotePreview?: NotePreviewResolver;
   enableTags?: boolean;
   onTagClick?: (tag: string) => void;
+  markdownPlugins?: MarkdownPluginEntry[];
+  blockRenderers?: Record<string, BlockRenderer | null | false>;
+  formatTables?: boolean;
+  smartPaste?: boolean | SmartPasteOptions;
+  resolveLinkTitle?: (url: string) => Promise<string | null | undefined>;
+  onImageUpload?: ImageUploadHandler;
+  imageMaxHeight?: number | string;
+  resolveImageUrl?: ImageUrlResolver;
+  resolveEmbed?: EmbedResolver;
   readOnly?: boolean;
   typewriter?: boolean;
   focusMode?: boolean;
   toolbar?: boolean;
   wordCount?: boolean;
   backlinks?: boolean;
+  outline?: boolean;
   docTitle?: string;
   onBacklinksRequested?: (title: string) => Promise<BacklinkEntry[]>;
   onBacklinkClick?: (backlink: BacklinkEntry) => void;
+  onFoldChange?: (foldState: FoldStateEntry[]) => void;
   frontmatterKeys?: string[];
   scrollPastEnd?: boolean;
 }
@@ -86,9 +179,9 @@ export function hybridMarkdown(options?: HybridMarkdownOptions): Extension[];
 export function toggleTheme(view: EditorView): boolean;
 export function toggleHybridMode(view: EditorView): boolean;
 export function setTheme(view: EditorView, theme: 'light' | 'dark'): void;
-export function setMode(view: EditorView, mode: 'hybrid' | 'raw'): void;
+export function setMode(view: EditorView, mode: 'hybrid' | 'raw' | 'read'): void;
 export function getTheme(view: EditorView): 'light' | 'dark';
-export function getMode(view: EditorView): 'hybrid' | 'raw';
+export function getMode(view: EditorView): 'hybrid' | 'raw' | 'read';
 
 // ---------------------------------------------------------------------------
 // Read-only
@@ -157,6 +250,30 @@ export function toggleBacklinks(view: EditorView): boolean;
 export function setBacklinks(view: EditorView, enabled: boolean): void;
 export function isBacklinks(view: EditorView): boolean;
 
+// ---------------------------------------------------------------------------
+// Outline
+// ---------------------------------------------------------------------------
+
+export function toggleOutline(view: EditorView): boolean;
+export function setOutline(view: EditorView, enabled: boolean): void;
+export function isOutline(view: EditorView): boolean;
+
+// ---------------------------------------------------------------------------
+// Fold state
+// ---------------------------------------------------------------------------
+
+export type FoldStateEntry = {
+  text: string;
+  id: string | null;
+  level: number;
+};
+
+export function getFoldState(view: EditorView): FoldStateEntry[];
+export function restoreFoldState(
+  view: EditorView,
+  foldState: Array<{ text: string; id?: string | null }>,
+): void;
+
 // ---------------------------------------------------------------------------
 // Scroll past end
 // ---------------------------------------------------------------------------
@@ -173,6 +290,19 @@ export function toggleFrontmatterSheet(view: EditorView): boolean;
 export function setFrontmatterSheet(view: EditorView, open: boolean): void;
 export function isFrontmatterSheet(view: EditorView): boolean;
 
+// ---------------------------------------------------------------------------
+// HTML export
+// ---------------------------------------------------------------------------
+
+export interface ExportHtmlOptions {
+  title?: string;
+  theme?: 'light' | 'dark';
+  inlineCss?: boolean;
+  katexStylesheet?: string | false;
+}
+
+export function exportHtml(view: EditorView, options?: ExportHtmlOptions): Promise<string>;
+
 // ---------------------------------------------------------------------------
 // Actions (formatting toolbar helpers)
 // ---------------------------------------------------------------------------
@@ -202,6 +332,27 @@ export const actions: {
   table(view: EditorView): void;
   diagram(view: EditorView): void;
   emoji(view: EditorView): void;
+  csvToTable(view: EditorView): boolean;
+  tableToCsv(view: EditorView, delimiter?: string): boolean;
+  insertTableRowAbove(view: EditorView): boolean;
+  insertTableRowBelow(view: EditorView): boolean;
+  deleteTableRow(view: EditorView): boolean;
+  insertTableColumnLeft(view: EditorView): boolean;
+  insertTableColumnRight(view: EditorView): boolean;
+  deleteTableColumn(view: EditorView): boolean;
+  moveTableColumnLeft(view: EditorView): boolean;
+  moveTableColumnRight(view: EditorView): boolean;
+  alignTableColumn(view: EditorView, align: 'left' | 'center' | 'right' | null): boolean;
+  sortTable(view: EditorView, direction?: 'asc' | 'desc'): boolean;
+  moveSectionUp(view: EditorView): boolean;
+  moveSectionDown(view: EditorView): boolean;
+  promoteSection(view: EditorView): boolean;
+  demoteSection(view: EditorView): boolean;
+  foldAll(view: EditorView): boolean;
+  unfoldAll(view: EditorView): boolean;
+  foldToLevel(view: EditorView, level: number): boolean;
+  /** Adds a `^block-id` to the block under the cursor if needed and copies `[[Note#^block-id]]`; resolves to false when not in a paragraph or list item or the copy fails */
+  copyBlockReference(view: EditorView): Promise<string | false>;
 };
 
 // ---------------------------------------------------------------------------
@@ -219,8 +370,32 @@ export function hybridPreview(options?: {
   enableWikiLinks?: boolean;
   renderWikiLinks?: boolean;
   onWikiLinkClick?: (link: WikiLinkPayload) => void;
+  noteIndex?: NoteIndex;
+  onCreateNote?: (title: string) => void;
+  enableTags?: boolean;
+  onTagClick?: (tag: string) => void;
+  markdownPlugins?: MarkdownPluginEntry[];
+  blockRenderers?: Record<string, BlockRenderer | null | false>;
+  resolveImageUrl?: ImageUrlResolver;
+  resolveEmbed?: EmbedResolver;
+}): Extension;
+
+export function readMode(options?: {
+  enableCollapse?: boolean;
+  enableCustomTasks?: boolean;
+  customTaskTypes?: string[];
+  enableWikiLinks?: boolean;
+  renderWikiLinks?: boolean;
+  onWikiLinkClick?: (link: WikiLinkPayload) => void;
+  noteIndex?: NoteIndex;
+  onCreateNote?: (title: string) => void;
   enableTags?: boolean;
   onTagClick?: (tag: string) => void;
+  markdownPlugins?: MarkdownPluginEntry[];
+  blockRenderers?: Record<string, BlockRenderer | null | false>;
+  resolveImageUrl?: ImageUrlResolver;
+  resolveEmbed?: EmbedResolver;
+  onEdit?: (view: EditorView, pos: number) => void;
 }): Extension;
 
 export const markdownKeymap: Extension;
@@ -231,6 +406,12 @@ export function createFocusModePlugin(level?: 'line' | 'sentence' | 'paragraph',
 export const writingModeSheetPlugin: Extension;
 export const wordCountPanel: Extension;
 export const backlinksPanel: Extension;
+export const outlinePanel: Extension;
+export const tableFormatter: Extension;
+export function smartPaste(options?: SmartPasteOptions): Extension;
+export function imageUpload(options: { onImageUpload: ImageUploadHandler }): Extension;
+export function wikiLinkPreview(options: { resolveNotePreview: NotePreviewResolver }): Extension;
+export function htmlToMarkdown(html: string): string;
 export const frontmatterSheetPlugin: ViewPlugin<any>;
 
 export const backlinksFacet: Facet<
@@ -16,8 +16,21 @@ import { focusModePlugin, createFocusModePlugin } from './extensions/focus-mode.
 import { wordCountPanel } from './extensions/word-count.js';
 import { bottomToolbar as bottomToolbarExtension } from './extensions/bottom-toolbar.js';
 import { backlinksPanel, backlinksFacet } from './extensions/backlinks.js';
+import { outlinePanel } from './extensions/outline.js';
+import { readMode } from './extensions/read-mode.js';
+import { foldChangeListener } from './extensions/fold-state.js';
+import { tableFormatter } from './extensions/table-format.js';
+import { smartPaste as smartPasteExtension } from './extensions/smart-paste.js';
+import { imageUpload } from './extensions/image-upload.js';
+import { wikiLinkPreview } from './extensions/wiki-link-preview.js';
+import { exportHtml as exportDocumentHtml } from './extensions/export-html.js';
 import { frontmatterSheetPlugin, frontmatterKeysFacet } from './extensions/frontmatter-sheet.js';
-import { toggleSheetEffect, frontmatterSheetField, blockRangesField } from './extensions/hybrid-preview.js';
+import {
+  toggleSheetEffect,
+  frontmatterSheetField,
+  blockRangesField,
+  collapsedHeadingsField,
+} from './extensions/hybrid-preview.js';
 import { writingModeSheetPlugin } from './extensions/writing-mode-sheet.js';
 import {
   writingModeConfigFacet,
@@ -49,8 +62,20 @@ export const HybridMarkdownConfig = Facet.define({
       enableWikiLinks: configs.reduce((a, c) => c.enableWikiLinks ?? a, false),
       enableTags: configs.reduce((a, c) => c.enableTags ?? a, false),
       onTagClick: configs.reduce((a, c) => c.onTagClick ?? a, undefined),
+      markdownPlugins: configs.reduce((a, c) => c.markdownPlugins ?? a, undefined),
+      blockRenderers: configs.reduce((a, c) => c.blockRenderers ?? a, undefined),
+      formatTables: configs.reduce((a, c) => c.formatTables ?? a, false),
+      smartPaste: configs.reduce((a, c) => c.smartPaste ?? a, true),
+      resolveLinkTitle: configs.reduce((a, c) => c.resolveLinkTitle ?? a, undefined),
+      onImageUpload: configs.reduce((a, c) => c.onImageUpload ?? a, undefined),
+      imageMaxHeight: configs.reduce((a, c) => c.imageMaxHeight ?? a, undefined),
+      resolveImageUrl: configs.reduce((a, c) => c.resolveImageUrl ?? a, undefined),
+      resolveEmbed: configs.reduce((a, c) => c.resolveEmbed ?? a, undefined),
       renderWikiLinks: configs.reduce((a, c) => c.renderWikiLinks ?? a, true),
       onWikiLinkClick: configs.reduce((a, c) => c.onWikiLinkClick ?? a, undefined),
+      noteIndex: configs.reduce((a, c) => c.noteIndex ?? a, undefined),
+      onCreateNote: configs.reduce((a, c) => c.onCreateNote ?? a, undefined),
+      resolveNotePreview: configs.reduce((a, c) => c.resolveNotePreview ?? a, undefined),
       readOnly: configs.reduce((a, c) => c.readOnly ?? a, false),
       typewriter: configs.reduce((a, c) => c.typewriter ?? a, false),
       focusMode: configs.reduce((a, c) => c.focusMode ?? a, false),
@@ -59,10 +84,12 @@ export const HybridMarkdownConfig = Facet.define({
       toolbar: configs.reduce((a, c) => c.toolbar ?? a, true),
       wordCount: configs.reduce((a, c) => c.wordCount ?? a, false),
       backlinks: configs.reduce((a, c) => c.backlinks ?? a, false),
+      outline: configs.reduce((a, c) => c.outline ?? a, false),
       scrollPastEnd: configs.reduce((a, c) => c.scrollPastEnd ?? a, false),
       docTitle: configs.reduce((a, c) => c.docTitle ?? a, undefined),
       onBacklinksRequested: configs.reduce((a, c) => c.onBacklinksRequested ?? a, undefined),
       onBacklinkClick: configs.reduce((a, c) => c.onBacklinkClick ?? a, undefined),
+      onFoldChange: configs.reduce((a, c) => c.onFoldChange ?? a, undefined),
       frontmatterKeys: configs.reduce((a, c) => c.frontmatterKeys ?? a, undefined),
       theme: configs.reduce((a, c) => c.theme ?? a, 'light'),
     };
@@ -90,7 +117,7 @@ const setThemeEffect = StateEffect.define();
 
 /**
  * StateEffect for changing mode
- * @type {StateEffectType<'hybrid'|'raw'>}
+ * @type {StateEffectType<'hybrid'|'raw'|'read'>}
  */
 const setModeEffect = StateEffect.define();
 
@@ -118,6 +145,12 @@ const setWordCountEffect = StateEffect.define();
  */
 const setBacklinksEffect = StateEffect.define();
 
+/**
+ * StateEffect for changing outline panel visibility
+ * @type {StateEffectType<boolean>}
+ */
+const setOutlineEffect = StateEffect.define();
+
 /**
  * StateEffect for changing scroll past end
  * @type {StateEffectType<boolean>}
@@ -144,6 +177,7 @@ const editorStateField = StateField.define({
       toolbar: config.toolbar !== false,
       wordCount: config.wordCount === true,
       backlinks: config.backlinks === true,
+      outline: config.outline === true,
       scrollPastEnd: config.scrollPastEnd === true,
     };
   },
@@ -172,6 +206,8 @@ const editorStateField = StateField.define({
         value = { ...value, wordCount: effect.value };
       } else if (effect.is(setBacklinksEffect)) {
         value = { ...value, backlinks: effect.value };
+      } else if (effect.is(setOutlineEffect)) {
+        value = { ...value, outline: effect.value };
       } else if (effect.is(setScrollPastEndEffect)) {
         value = { ...value, scrollPastEnd: effect.value };
       }
@@ -191,6 +227,7 @@ const focusModeCompartment = new Compartment();
 const toolbarCompartment = new Compartment();
 const wordCountCompartment = new Compartment();
 const backlinksCompartment = new Compartment();
+const outlineCompartment = new Compartment();
 const scrollPastEndCompartment = new Compartment();
 
 const readOnlyTransactionFilter = EditorState.transactionFilter.of((tr) => {
@@ -240,6 +277,24 @@ const writingModeTransactionExtender = EditorState.transactionExtender.of((tr) =
   return effects.length > 0 ? { effects } : null;
 });
 
+/**
+ * Transaction extender: when the app reconfigures hybridMarkdown() with a new
+ * noteIndex (e.g. after onCreateNote) or new markdownPlugins, rebuild the
+ * preview so it renders with them. The preview compartment would otherwise
+ * keep the options it was created with.
+ */
+const previewOptionsTransactionExtender = EditorState.transactionExtender.of((tr) => {
+  if (!tr.reconfigured) return null;
+
+  const config = tr.state.facet(HybridMarkdownConfig);
+  const previous = tr.startState.facet(HybridMarkdownConfig);
+  if (config.noteIndex === previous.noteIndex && config.markdownPlugins === previous.markdownPlugins) return null;
+
+  const { mode } = tr.state.field(editorStateField);
+  if (mode === 'raw' || !config.enablePreview) return null;
+  return { effects: previewCompartment.reconfigure(getPreviewExtension(tr.state, mode)) };
+});
+
 /**
  * Get the theme extension for the given theme name
  */
@@ -267,8 +322,22 @@ function getRawModeExtension(theme, enabled) {
  * @param {boolean} [options.enableWikiLinks=false] - Enable wiki-link parsing/highlighting in hybrid preview
  * @param {boolean} [options.renderWikiLinks=true] - Render wiki links in preview when enabled
  * @param {(link: {raw: string, title: string, section: string, alias: string, display: string}) => void} [options.onWikiLinkClick] - Optional handler for preview wiki-link clicks
+ * @param {Object} [options.noteIndex] - Index created by createNoteIndex; wiki links it cannot resolve are styled as missing
+ * @param {(title: string) => void} [options.onCreateNote] - Handler for clicks on missing wiki links (instead of onWikiLinkClick)
+ * @param {(link: {raw: string, title: string, section: string, alias: string, display: string}) => Promise<string|null>} [options.resolveNotePreview] - Load the markdown shown when hovering a rendered wiki link
+ * @param {Array<Function|Array>} [options.markdownPlugins] - markdown-it plugins (or [plugin, ...options]) for this editor's preview
+ * @param {Object<string, (content: string, context: {language: string, info: string, view: EditorView, from: number, to: number}) => Node>} [options.blockRenderers] - Render fenced blocks by language tag
+ * @param {boolean} [options.formatTables=false] - Re-align a pipe table's columns when the cursor leaves it
+ * @param {boolean|{html?: boolean, spreadsheets?: boolean, links?: boolean}} [options.smartPaste=true] - Convert pasted HTML, spreadsheet cells and links to markdown (false to disable)
+ * @param {(url: string) => Promise<string|null>} [options.resolveLinkTitle] - Title for a bare URL pasted on an empty line, making it `[title](url)`
+ * @param {(file: File, context: {onProgress: (fraction: number) => void}) => Promise<string>} [options.onImageUpload] - Upload pasted or dropped images and resolve to their URL
+ * @param {number|string} [options.imageMaxHeight] - Maximum height of previewed images, in pixels or as a CSS length (default 400px)
+ * @param {(src: string, context: {alt: string, embed: boolean, view: EditorView}) => string|Promise<string>} [options.resolveImageUrl] - Map image sources (relative paths, `![[image.png]]` embeds) to loadable URLs
+ * @param {(link: {raw: string, title: string, section: string|null, alias: string|null, display: string, embed: true}) => Promise<string|null>} [options.resolveEmbed] - Load the markdown of a note embedded with `![[Note]]` / `![[Note#Section]]`
  * @param {boolean} [options.readOnly=false] - Enable read-only mode (allows task toggles)
  * @param {boolean} [options.toolbar=true] - Show bottom formatting toolbar
+ * @param {boolean} [options.outline=false] - Show the document outline panel
+ * @param {(foldState: Array<{text: string, id: string|null, level: number}>) => void} [options.onFoldChange] - Called when collapsed headings change (see getFoldState)
  * @returns {Extension[]} Array of CodeMirror extensions
  *
  * @example
@@ -296,8 +365,20 @@ export function hybridMarkdown(options = {}) {
     enableWikiLinks = false,
     renderWikiLinks = true,
     onWikiLinkClick,
+    noteIndex,
+    onCreateNote,
+    resolveNotePreview,
     enableTags = false,
     onTagClick,
+    markdownPlugins,
+    blockRenderers,
+    formatTables = false,
+    smartPaste = true,
+    resolveLinkTitle,
+    onImageUpload,
+    imageMaxHeight,
+    resolveImageUrl,
+    resolveEmbed,
     readOnly = false,
     typewriter = false,
     focusMode = false,
@@ -306,9 +387,11 @@ export function hybridMarkdown(options = {}) {
     toolbar = true,
     wordCount = false,
     backlinks = false,
+    outline = false,
     docTitle,
     onBacklinksRequested,
     onBacklinkClick,
+    onFoldChange,
     frontmatterKeys,
     scrollPastEnd = false,
   } = options;
@@ -325,6 +408,7 @@ export function hybridMarkdown(options = {}) {
 
     // Auto-reconfigure compartments when writing mode effects are dispatched
     writingModeTransactionExtender,
+    previewOptionsTransactionExtender,
     readOnlyCompartment.of(EditorState.readOnly.of(readOnly)),
 
     // Core functionality
@@ -373,6 +457,9 @@ export function hybridMarkdown(options = {}) {
     }),
     backlinksCompartment.of(backlinks ? backlinksPanel : []),
 
+    // Outline panel (top panel listing document headings)
+    outlineCompartment.of(outline ? outlinePanel : []),
+
     // Scroll past end (allows scrolling the last line to the top of the viewport)
     scrollPastEndCompartment.of(scrollPastEnd ? cmScrollPastEnd() : []),
 
@@ -380,6 +467,7 @@ export function hybridMarkdown(options = {}) {
     // survive raw-mode toggle and are always accessible by sheet plugins)
     frontmatterSheetField,
     blockRangesField,
+    collapsedHeadingsField,
 
     // Frontmatter sheet overlay (always loaded, just hidden when closed)
     frontmatterKeysFacet.of(Array.isArray(frontmatterKeys) ? frontmatterKeys : []),
@@ -405,13 +493,53 @@ export function hybridMarkdown(options = {}) {
       enableWikiLinks,
       renderWikiLinks,
       onWikiLinkClick,
+      noteIndex,
+      onCreateNote,
       enableTags,
       onTagClick,
+      markdownPlugins,
+      blockRenderers,
+      resolveImageUrl,
+      resolveEmbed,
     })));
   } else {
     extensions.push(previewCompartment.of([]));
   }
 
+  // Optional: Cap the height of previewed images
+  if (imageMaxHeight != null) {
+    const maxHeight = typeof imageMaxHeight === 'number' ? `${imageMaxHeight}px` : imageMaxHeight;
+    extensions.push(EditorView.editorAttributes.of({ style: `--cm-image-max-height: ${maxHeight}` }));
+  }
+
+  // Optional: Align table columns when the cursor leaves a table
+  if (formatTables) {
+    extensions.push(tableFormatter);
+  }
+
+  // Optional: Upload pasted and dropped images
+  if (typeof onImageUpload === 'function') {
+    extensions.push(imageUpload({ onImageUpload }));
+  }
+
+  // Optional: Preview linked notes on hover
+  if (enableWikiLinks && typeof resolveNotePreview === 'function') {
+    extensions.push(wikiLinkPreview({ resolveNotePreview }));
+  }
+
+  // Optional: Paste HTML and spreadsheet data as markdown
+  if (smartPaste) {
+    extensions.push(smartPasteExtension({
+      resolveLinkTitle,
+      ...(smartPaste === true ? {} : smartPaste),
+    }));
+  }
+
+  // Optional: Report fold changes so apps can persist them
+  if (typeof onFoldChange === 'function') {
+    extensions.push(foldChangeListener(onFoldChange));
+  }
+
   // Optional: Markdown keyboard shortcuts
   if (enableKeymap) {
     extensions.push(markdownKeymap);
@@ -440,31 +568,73 @@ export function toggleTheme(view) {
   return newTheme === 'dark';
 }
 
+/**
+ * Content of the preview compartment for `mode`: hybridPreview() in hybrid
+ * mode, readMode() in read mode and nothing in raw mode
+ */
+function getPreviewExtension(state, mode) {
+  const config = state.facet(HybridMarkdownConfig);
+  const previewOptions = {
+    enableCollapse: config.enableCollapse,
+    enableCustomTasks: config.enableCustomTasks,
+    customTaskTypes: config.customTaskTypes,
+    enableWikiLinks: config.enableWikiLinks,
+    renderWikiLinks: config.renderWikiLinks,
+    onWikiLinkClick: config.onWikiLinkClick,
+    noteIndex: config.noteIndex,
+    onCreateNote: config.onCreateNote,
+    enableTags: config.enableTags,
+    onTagClick: config.onTagClick,
+    markdownPlugins: config.markdownPlugins,
+    blockRenderers: config.blockRenderers,
+    resolveImageUrl: config.resolveImageUrl,
+    resolveEmbed: config.resolveEmbed,
+  };
+
+  if (mode === 'hybrid') return hybridPreview(previewOptions);
+  if (mode === 'read') return readMode({ ...previewOptions, onEdit: editFromReadMode });
+  return [];
+}
+
+/**
+ * Build the effects that switch an editor to `mode`
+ */
+function getModeEffects(view, mode) {
+  const currentState = view.state.field(editorStateField);
+
+  return [
+    setModeEffect.of(mode),
+    previewCompartment.reconfigure(getPreviewExtension(view.state, mode)),
+    rawModeCompartment.reconfigure(getRawModeExtension(currentState.theme, mode === 'raw')),
+    selectedLineCompartment.reconfigure(mode === 'hybrid' ? highlightSelectedLines : []),
+  ];
+}
+
+/**
+ * Leave read mode for hybrid mode with the cursor at the clicked source position
+ */
+function editFromReadMode(view, pos) {
+  view.dispatch({
+    effects: getModeEffects(view, 'hybrid'),
+    selection: { anchor: pos },
+    scrollIntoView: true,
+  });
+  view.focus();
+}
+
 /**
  * Toggle between hybrid preview mode and raw markdown mode
+ * (read mode toggles back to hybrid)
  * @param {EditorView} view - The editor view
  * @returns {boolean} True if in hybrid mode, false if raw
  */
 export function toggleHybridMode(view) {
   const currentState = view.state.field(editorStateField);
   const newMode = currentState.mode === 'hybrid' ? 'raw' : 'hybrid';
-  const isHybrid = newMode === 'hybrid';
-  const config = view.state.facet(HybridMarkdownConfig);
 
-  view.dispatch({
-    effects: [
-      setModeEffect.of(newMode),
-      previewCompartment.reconfigure(isHybrid ? hybridPreview({
-        enableCollapse: config.enableCollapse,
-        enableCustomTasks: config.enableCustomTasks,
-        customTaskTypes: config.customTaskTypes,
-      }) : []),
-      rawModeCompartment.reconfigure(getRawModeExtension(currentState.theme, !isHybrid)),
-      selectedLineCompartment.reconfigure(isHybrid ? highlightSelectedLines : []),
-    ],
-  });
+  view.dispatch({ effects: getModeEffects(view, newMode) });
 
-  return isHybrid;
+  return newMode === 'hybrid';
 }
 
 /**
@@ -780,6 +950,48 @@ export function isBacklinks(view) {
   return view.state.field(editorStateField).backlinks;
 }
 
+/**
+ * Toggle outline panel
+ * @param {EditorView} view - The editor view
+ * @returns {boolean} True if now enabled
+ */
+export function toggleOutline(view) {
+  const currentState = view.state.field(editorStateField);
+  const enabled = !currentState.outline;
+
+  view.dispatch({
+    effects: [
+      setOutlineEffect.of(enabled),
+      outlineCompartment.reconfigure(enabled ? outlinePanel : []),
+    ],
+  });
+
+  return enabled;
+}
+
+/**
+ * Set outline panel explicitly
+ * @param {EditorView} view - The editor view
+ * @param {boolean} enabled - Whether the outline panel should be shown
+ */
+export function setOutline(view, enabled) {
+  view.dispatch({
+    effects: [
+      setOutlineEffect.of(enabled),
+      outlineCompartment.reconfigure(enabled ? outlinePanel : []),
+    ],
+  });
+}
+
+/**
+ * Get current outline panel state
+ * @param {EditorView} view - The editor view
+ * @returns {boolean}
+ */
+export function isOutline(view) {
+  return view.state.field(editorStateField).outline;
+}
+
 /**
  * Toggle scroll past end
  * @param {EditorView} view - The editor view
@@ -869,27 +1081,13 @@ export function setTheme(view, theme) {
 }
 
 /**
- * Set the mode explicitly
+ * Set the mode explicitly. Read mode renders the whole document as one page;
+ * clicking it returns to hybrid mode at the clicked position.
  * @param {EditorView} view - The editor view
- * @param {'hybrid'|'raw'} mode - The mode to set
+ * @param {'hybrid'|'raw'|'read'} mode - The mode to set
  */
 export function setMode(view, mode) {
-  const currentState = view.state.field(editorStateField);
-  const isHybrid = mode === 'hybrid';
-  const config = view.state.facet(HybridMarkdownConfig);
-
-  view.dispatch({
-    effects: [
-      setModeEffect.of(mode),
-      previewCompartment.reconfigure(isHybrid ? hybridPreview({
-        enableCollapse: config.enableCollapse,
-        enableCustomTasks: config.enableCustomTasks,
-        customTaskTypes: config.customTaskTypes,
-      }) : []),
-      rawModeCompartment.reconfigure(getRawModeExtension(currentState.theme, !isHybrid)),
-      selectedLineCompartment.reconfigure(isHybrid ? highlightSelectedLines : []),
-    ],
-  });
+  view.dispatch({ effects: getModeEffects(view, mode) });
 }
 
 /**
@@ -913,12 +1111,29 @@ export function getTheme(view) {
 /**
  * Get current mode for an editor instance
  * @param {EditorView} view - The editor view
- * @returns {'hybrid'|'raw'}
+ * @returns {'hybrid'|'raw'|'read'}
  */
 export function getMode(view) {
   return view.state.field(editorStateField).mode;
 }
 
+/**
+ * Export the document as a standalone HTML page that mirrors the hybrid preview
+ * (callouts, custom tasks, definition lists, footnotes, mermaid, KaTeX).
+ * Uses the editor's current theme unless `options.theme` is given.
+ *
+ * @param {EditorView} view - The editor view
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (defaults to frontmatter `title`, then the first heading)
+ * @param {'light'|'dark'} [options.theme] - Theme whose CSS is inlined
+ * @param {boolean} [options.inlineCss=false] - Inline the base and theme CSS
+ * @param {string|false} [options.katexStylesheet] - KaTeX stylesheet URL added when math is present (false to omit)
+ * @returns {Promise<string>} Complete HTML document
+ */
+export function exportHtml(view, options = {}) {
+  return exportDocumentHtml(view, { theme: getTheme(view), ...options });
+}
+
 // Re-export actions for toolbar/external use
 export { actions };
 
@@ -927,6 +1142,7 @@ export { lightTheme, darkTheme, baseTheme };
 
 // Re-export extensions for advanced composition
 export { hybridPreview } from './extensions/hybrid-preview.js';
+export { readMode } from './extensions/read-mode.js';
 export { markdownKeymap } from './extensions/keymaps.js';
 export { highlightSelectedLines } from './extensions/selected-line.js';
 export { typewriterPlugin } from './extensions/typewriter.js';
@@ -936,5 +1152,13 @@ export { wordCountPanel } from './extensions/word-count.js';
 export { tagAutocomplete } from './extensions/tag-autocomplete.js';
 export { createNoteIndex, resolveWikiLink, wikiLinkAutocomplete } from './extensions/wiki-link-autocomplete.js';
 export { backlinksPanel } from './extensions/backlinks.js';
+export { outlinePanel } from './extensions/outline.js';
+export { getFoldState, restoreFoldState } from './extensions/fold-state.js';
+export { tableFormatter } from './extensions/table-format.js';
+export { smartPaste } from './extensions/smart-paste.js';
+export { imageUpload } from './extensions/image-upload.js';
+export { wikiLinkPreview } from './extensions/wiki-link-preview.js';
+export { renameWikiLinkTarget, renameWikiLinkTargetInText } from './extensions/wiki-link-rename.js';
+export { htmlToMarkdown } from './utils/html-to-markdown.js';
 export { bottomToolbar } from './extensions/bottom-toolbar.js';
 export { moreMenu } from './extensions/more-menu.js';
@@ -1,17 +1,24 @@
 import { EditorView } from '@codemirror/view';
 
-// Inject @keyframes for smooth preview transitions (not supported by EditorView.baseTheme)
+/**
+ * @keyframes for smooth preview transitions (not supported by EditorView.baseTheme)
+ */
+export const baseKeyframes = '@keyframes cmFadeIn { from { opacity: 0 } to { opacity: 1 } }'
+  + ' @keyframes cmSpin { to { transform: rotate(360deg) } }';
+
+// Inject the keyframes into the page
 if (typeof document !== 'undefined') {
   const style = document.createElement('style');
-  style.textContent = '@keyframes cmFadeIn { from { opacity: 0 } to { opacity: 1 } }';
+  style.textContent = baseKeyframes;
   document.head.appendChild(style);
 }
 
 /**
  * Base theme with all required styles for the hybrid markdown preview
- * These styles are bundled with the extension
+ * These styles are bundled with the extension (the raw style spec is also
+ * exported so HTML export can inline it)
  */
-export const baseTheme = EditorView.baseTheme({
+export const baseThemeStyles = {
   // Editor base
   '&': {
     height: '100%',
@@ -109,8 +116,23 @@ export const baseTheme = EditorView.baseTheme({
   // Images
   '.cm-markdown-preview img': {
     maxWidth: '100%',
+    maxHeight: 'var(--cm-image-max-height, 400px)',
     height: 'auto',
     borderRadius: '4px',
+    verticalAlign: 'middle',
+    objectFit: 'contain',
+  },
+  '.cm-markdown-preview .md-image-gallery': {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'flex-start',
+    gap: '8px',
+    padding: '8px 0',
+  },
+  '.cm-markdown-preview .md-image-gallery img': {
+    height: 'min(var(--cm-image-max-height, 400px), 200px)',
+    width: 'auto',
+    objectFit: 'cover',
   },
 
   // Blockquotes
@@ -234,6 +256,16 @@ export const baseTheme = EditorView.baseTheme({
     textDecoration: 'underline',
     textUnderlineOffset: '2px',
   },
+  '.md-wikilink-missing, .cm-wikilink-missing': {
+    opacity: '0.65',
+    textDecorationStyle: 'dashed',
+  },
+  '.md-block-id': {
+    fontSize: '0.75em',
+    fontFamily: 'monospace',
+    opacity: '0.45',
+    userSelect: 'none',
+  },
 
   // Table styling
   '.md-table': {
@@ -248,6 +280,59 @@ export const baseTheme = EditorView.baseTheme({
   '.md-table th': {
     fontWeight: '600',
   },
+  '.cm-table-preview .md-table th, .cm-table-preview .md-table td': {
+    cursor: 'text',
+  },
+  '.md-table .cm-table-cell-editing': {
+    padding: '4px 8px',
+  },
+  '.cm-table-cell-input': {
+    border: 'none',
+    background: 'transparent',
+    width: '100%',
+    minWidth: '60px',
+    font: 'inherit',
+    fontWeight: 'inherit',
+    textAlign: 'inherit',
+    outline: 'none',
+    padding: '4px',
+    borderRadius: '3px',
+    boxSizing: 'border-box',
+  },
+  // Pasted URL waiting for resolveLinkTitle
+  '.cm-link-title-pending': {
+    opacity: '0.6',
+    textDecoration: 'underline dotted',
+  },
+  '.cm-table-menu': {
+    position: 'absolute',
+    zIndex: '7',
+    minWidth: '180px',
+    padding: '4px 0',
+    borderRadius: '8px',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 1px rgba(0, 0, 0, 0.06)',
+    fontFamily: 'system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    fontSize: '14px',
+  },
+  '.cm-table-menu-item': {
+    display: 'block',
+    width: '100%',
+    padding: '6px 12px',
+    border: 'none',
+    background: 'transparent',
+    cursor: 'pointer',
+    textAlign: 'left',
+    color: 'inherit',
+    font: 'inherit',
+  },
+  '.cm-table-menu-item:disabled': {
+    cursor: 'default',
+    opacity: '0.4',
+  },
+  '.cm-table-menu-separator': {
+    height: '1px',
+    margin: '4px 8px',
+  },
 
   // Legacy single-line table styles
   '.cm-markdown-preview .md-table-row': {
@@ -297,6 +382,22 @@ export const baseTheme = EditorView.baseTheme({
     fontFamily: 'monospace',
     fontSize: '0.9em',
   },
+
+  // Custom block renderer output
+  '.cm-custom-block-preview': {
+    display: 'block',
+    padding: '8px 0',
+    cursor: 'pointer',
+    animation: 'cmFadeIn 0.15s ease-out',
+  },
+  '.cm-custom-block-error': {
+    color: '#d73a49',
+    fontFamily: 'monospace',
+    fontSize: '0.85em',
+    whiteSpace: 'pre-wrap',
+    margin: '0',
+  },
+
   '.cm-mermaid-block-line': {
     fontFamily: '"SF Mono", Monaco, "Cascadia Code", Consolas, monospace',
     fontSize: '0.9em',
@@ -363,11 +464,38 @@ export const baseTheme = EditorView.baseTheme({
 
   // Heading preview with collapse toggle
   '.cm-heading-preview': {
+    position: 'relative',
     display: 'inline-flex',
     alignItems: 'center',
     animation: 'cmFadeIn 0.12s ease-out',
   },
 
+  // Section drag handle (left of the collapse toggle)
+  '.cm-section-drag-handle': {
+    position: 'absolute',
+    left: '-40px',
+    width: '20px',
+    textAlign: 'center',
+    cursor: 'grab',
+    userSelect: 'none',
+    fontSize: '0.7em',
+    opacity: '0',
+    transition: 'opacity 0.15s ease',
+  },
+  '.cm-line:hover .cm-section-drag-handle': {
+    opacity: '0.4',
+  },
+  '.cm-line:hover .cm-section-drag-handle:hover': {
+    opacity: '1',
+  },
+  // Drop indicators for section drag-and-drop
+  '.cm-section-drop-before': {
+    boxShadow: 'inset 0 2px 0 0 currentColor',
+  },
+  '.cm-section-drop-after': {
+    boxShadow: 'inset 0 -2px 0 0 currentColor',
+  },
+
   // Collapse toggle button
   '.cm-collapse-toggle': {
     display: 'inline-flex',
@@ -442,11 +570,46 @@ export const baseTheme = EditorView.baseTheme({
   },
   '.cm-image-preview img': {
     maxWidth: '100%',
-    maxHeight: '400px',
+    maxHeight: 'var(--cm-image-max-height, 400px)',
     objectFit: 'contain',
     borderRadius: '6px',
     display: 'block',
   },
+  '.cm-image-frame': {
+    position: 'relative',
+    display: 'inline-block',
+    maxWidth: '100%',
+    verticalAlign: 'top',
+  },
+  '.cm-image-resize-handle': {
+    position: 'absolute',
+    top: '50%',
+    width: '6px',
+    height: '36px',
+    marginTop: '-18px',
+    borderRadius: '3px',
+    cursor: 'ew-resize',
+    opacity: '0',
+    transition: 'opacity 0.15s',
+  },
+  '.cm-image-resize-left': {
+    left: '4px',
+  },
+  '.cm-image-resize-right': {
+    right: '4px',
+  },
+  '.cm-image-frame:hover .cm-image-resize-handle, .cm-image-resizing .cm-image-resize-handle': {
+    opacity: '1',
+  },
+  '.cm-image-resizing img': {
+    maxHeight: 'none',
+  },
+  '.cm-image-caption': {
+    display: 'block',
+    fontSize: '0.85em',
+    marginTop: '6px',
+    textAlign: 'center',
+  },
   '.cm-image-alt': {
     display: 'block',
     fontSize: '0.8em',
@@ -460,6 +623,123 @@ export const baseTheme = EditorView.baseTheme({
     borderRadius: '6px',
     fontFamily: '"SF Mono", Monaco, "Cascadia Code", Consolas, monospace',
   },
+  '.cm-image-error-inline': {
+    display: 'inline-block',
+    padding: '2px 8px',
+    verticalAlign: 'middle',
+  },
+  '.cm-image-upload': {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '4px 10px',
+    borderRadius: '6px',
+    fontSize: '0.85em',
+    verticalAlign: 'middle',
+  },
+  '.cm-image-upload-spinner': {
+    width: '12px',
+    height: '12px',
+    border: '2px solid currentColor',
+    borderRightColor: 'transparent',
+    borderRadius: '50%',
+    animation: 'cmSpin 0.8s linear infinite',
+  },
+  '.cm-image-upload-progress': {
+    display: 'inline-block',
+    width: '80px',
+    height: '4px',
+    borderRadius: '2px',
+    overflow: 'hidden',
+  },
+  '.cm-image-upload-progress > span': {
+    display: 'block',
+    height: '100%',
+    transition: 'width 0.15s ease-out',
+  },
+  '.cm-image-upload-action': {
+    padding: '1px 8px',
+    border: '1px solid',
+    borderRadius: '4px',
+    background: 'transparent',
+    color: 'inherit',
+    font: 'inherit',
+    cursor: 'pointer',
+  },
+
+  // Note embeds (![[Note]])
+  '.cm-note-embed': {
+    display: 'block',
+    margin: '4px 0',
+    padding: '6px 12px 8px',
+    borderLeft: '3px solid',
+    borderRadius: '0 6px 6px 0',
+    animation: 'cmFadeIn 0.15s ease-out',
+  },
+  '.cm-note-embed .cm-note-embed': {
+    margin: '8px 0',
+  },
+  '.cm-note-embed-header': {
+    display: 'block',
+    marginBottom: '4px',
+    fontSize: '0.8em',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  '.cm-note-embed-header:hover': {
+    textDecoration: 'underline',
+  },
+  '.cm-note-embed-content > :first-child': {
+    marginTop: '0',
+  },
+  '.cm-note-embed-content > :last-child': {
+    marginBottom: '0',
+  },
+  '.cm-note-embed-message': {
+    display: 'block',
+    fontSize: '0.85em',
+    fontStyle: 'italic',
+  },
+
+  // Wiki link hover preview
+  '.cm-wikilink-preview': {
+    position: 'absolute',
+    zIndex: '7',
+    width: '360px',
+    maxWidth: '100%',
+    borderRadius: '8px',
+    overflow: 'hidden',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.12), 0 0 0 1px rgba(0, 0, 0, 0.06)',
+    animation: 'cmFadeIn 0.15s ease-out',
+  },
+  '.cm-wikilink-preview-title': {
+    padding: '6px 12px',
+    fontSize: '0.8em',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  '.cm-wikilink-preview-content': {
+    position: 'relative',
+    maxHeight: '280px',
+    overflowY: 'auto',
+    padding: '4px 12px 8px',
+    fontSize: '0.9em',
+  },
+  '.cm-wikilink-preview-content img': {
+    maxWidth: '100%',
+  },
+  '.cm-wikilink-preview-message': {
+    fontStyle: 'italic',
+  },
+
+  // Read mode (whole document rendered as one page)
+  '.cm-read-mode': {
+    animation: 'cmFadeIn 0.15s ease-out',
+  },
+  '.cm-read-line': {
+    padding: '4px 0',
+    cursor: 'pointer',
+  },
 
   // Frontmatter property editor
   '.cm-frontmatter-preview': {
@@ -704,6 +984,57 @@ export const baseTheme = EditorView.baseTheme({
     flexShrink: '0',
   },
 
+  // Outline panel
+  '.cm-outline-panel': {
+    position: 'relative',
+    maxHeight: '200px',
+    overflowY: 'auto',
+    padding: '6px 16px',
+    fontSize: '12px',
+    fontFamily: '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif',
+    userSelect: 'none',
+  },
+  '.cm-outline-label': {
+    fontWeight: '600',
+    marginBottom: '4px',
+  },
+  '.cm-outline-item': {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '2px',
+    padding: '2px 4px',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    lineHeight: '1.5',
+  },
+  '.cm-outline-h1': {
+    fontWeight: '600',
+  },
+  '.cm-outline-toggle': {
+    display: 'inline-flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    width: '14px',
+    flexShrink: '0',
+    opacity: '0.5',
+    transition: 'transform 0.15s ease',
+  },
+  '.cm-outline-toggle.expanded': {
+    transform: 'rotate(90deg)',
+  },
+  '.cm-outline-toggle:hover': {
+    opacity: '1',
+  },
+  '.cm-outline-text': {
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  '.cm-outline-empty': {
+    fontStyle: 'italic',
+    opacity: '0.6',
+  },
+
   // Tag pills
   '.md-tag': {
     display: 'inline-block',
@@ -924,4 +1255,6 @@ export const baseTheme = EditorView.baseTheme({
   '.cm-writing-mode-kbd-desc': {
     marginRight: '8px',
   },
-});
+};
+
+export const baseTheme = EditorView.baseTheme(baseThemeStyles);
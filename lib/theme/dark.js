@@ -3,7 +3,7 @@ import { EditorView } from '@codemirror/view';
 /**
  * Dark theme for the hybrid markdown editor
  */
-export const darkTheme = EditorView.theme({
+export const darkThemeStyles = {
   // Editor background
   '&': {
     backgroundColor: '#1e1e1e',
@@ -73,11 +73,69 @@ export const darkTheme = EditorView.theme({
   '.cm-image-alt': {
     color: '#888',
   },
+  '.cm-image-resize-handle': {
+    backgroundColor: 'rgba(30, 30, 30, 0.9)',
+    boxShadow: '0 0 0 1px rgba(255, 255, 255, 0.35)',
+  },
+  '.cm-image-caption': {
+    color: '#999',
+  },
   '.cm-image-error': {
     backgroundColor: '#3a2020',
     color: '#f48771',
     border: '1px solid #5a3030',
   },
+  '.cm-image-upload': {
+    backgroundColor: '#2d2d2d',
+    color: '#999',
+    border: '1px solid #3c3c3c',
+  },
+  '.cm-image-upload-progress': {
+    backgroundColor: '#3c3c3c',
+  },
+  '.cm-image-upload-progress > span': {
+    backgroundColor: '#4dabf7',
+  },
+  '.cm-image-upload-error': {
+    backgroundColor: '#3a2020',
+    color: '#f48771',
+    borderColor: '#5a3030',
+  },
+  '.cm-image-upload-action:hover': {
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+
+  // Note embeds
+  '.cm-note-embed': {
+    backgroundColor: '#252526',
+    borderLeftColor: '#264f78',
+  },
+  '.cm-note-embed-header': {
+    color: '#4dabf7',
+  },
+  '.cm-note-embed-message': {
+    color: '#888',
+  },
+  '.cm-note-embed-error, .cm-note-embed-missing': {
+    color: '#f48771',
+  },
+
+  // Wiki link hover preview
+  '.cm-wikilink-preview': {
+    backgroundColor: '#252526',
+    color: '#d4d4d4',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.4), 0 0 0 1px #3c3c3c',
+  },
+  '.cm-wikilink-preview-title': {
+    color: '#4dabf7',
+    borderBottom: '1px solid #3c3c3c',
+  },
+  '.cm-wikilink-preview-target': {
+    backgroundColor: '#4d4420',
+  },
+  '.cm-wikilink-preview-message': {
+    color: '#888',
+  },
 
   // Frontmatter property editor
   '.cm-frontmatter-preview': {
@@ -100,6 +158,24 @@ export const darkTheme = EditorView.theme({
     backgroundColor: '#3a3d41',
     boxShadow: '0 0 0 1px #569cd6',
   },
+  '.cm-table-menu': {
+    backgroundColor: '#252526',
+    color: '#d4d4d4',
+    boxShadow: '0 4px 16px rgba(0, 0, 0, 0.4), 0 0 0 1px #3c3c3c',
+  },
+  '.cm-table-menu-item:not(:disabled):hover': {
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  '.cm-table-menu-separator': {
+    backgroundColor: '#3c3c3c',
+  },
+  '.cm-table-cell-input': {
+    color: '#d4d4d4',
+  },
+  '.cm-table-cell-input:focus': {
+    backgroundColor: '#3a3d41',
+    boxShadow: '0 0 0 1px #569cd6',
+  },
   '.cm-frontmatter-input:focus': {
     backgroundColor: '#3a3d41',
     boxShadow: '0 0 0 1px #569cd6',
@@ -210,6 +286,23 @@ export const darkTheme = EditorView.theme({
   '.tok-regexp': { color: '#d16969' },
   '.tok-meta': { color: '#6a9955' },
 
+  // Outline panel
+  '.cm-outline-panel': {
+    backgroundColor: '#252526',
+    borderBottom: '1px solid #3c3c3c',
+    color: '#aaa',
+  },
+  '.cm-outline-label': {
+    color: '#d4d4d4',
+  },
+  '.cm-outline-item:hover': {
+    backgroundColor: 'rgba(255, 255, 255, 0.08)',
+  },
+  '.cm-outline-item-active': {
+    backgroundColor: '#264f78',
+    color: '#9cdcfe',
+  },
+
   // Backlinks panel
   '.cm-backlinks-panel': {
     backgroundColor: '#252526',
@@ -312,4 +405,6 @@ export const darkTheme = EditorView.theme({
   '.footnote-def': { color: '#aaa' },
   '.footnote-def sup': { color: '#228be6' },
   '.md-wikilink, .cm-wikilink': { color: '#228be6' },
-});
+};
+
+export const darkTheme = EditorView.theme(darkThemeStyles);
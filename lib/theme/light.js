@@ -3,7 +3,7 @@ import { EditorView } from '@codemirror/view';
 /**
  * Light theme for the hybrid markdown editor
  */
-export const lightTheme = EditorView.theme({
+export const lightThemeStyles = {
   // Editor background
   '&': {
     backgroundColor: '#fff',
@@ -72,11 +72,68 @@ export const lightTheme = EditorView.theme({
   '.cm-image-alt': {
     color: '#888',
   },
+  '.cm-image-resize-handle': {
+    backgroundColor: 'rgba(255, 255, 255, 0.9)',
+    boxShadow: '0 0 0 1px rgba(0, 0, 0, 0.25)',
+  },
+  '.cm-image-caption': {
+    color: '#666',
+  },
   '.cm-image-error': {
     backgroundColor: '#fff3f3',
     color: '#d73a49',
     border: '1px solid #fdd',
   },
+  '.cm-image-upload': {
+    backgroundColor: '#f6f8fa',
+    color: '#666',
+    border: '1px solid #e1e4e8',
+  },
+  '.cm-image-upload-progress': {
+    backgroundColor: '#e1e4e8',
+  },
+  '.cm-image-upload-progress > span': {
+    backgroundColor: '#228be6',
+  },
+  '.cm-image-upload-error': {
+    backgroundColor: '#fff3f3',
+    color: '#d73a49',
+    borderColor: '#fdd',
+  },
+  '.cm-image-upload-action:hover': {
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+  },
+
+  // Note embeds
+  '.cm-note-embed': {
+    backgroundColor: '#f8f9fa',
+    borderLeftColor: '#a5d8ff',
+  },
+  '.cm-note-embed-header': {
+    color: '#1971c2',
+  },
+  '.cm-note-embed-message': {
+    color: '#888',
+  },
+  '.cm-note-embed-error, .cm-note-embed-missing': {
+    color: '#d73a49',
+  },
+
+  // Wiki link hover preview
+  '.cm-wikilink-preview': {
+    backgroundColor: '#fff',
+    color: '#333',
+  },
+  '.cm-wikilink-preview-title': {
+    color: '#1971c2',
+    borderBottom: '1px solid #e1e4e8',
+  },
+  '.cm-wikilink-preview-target': {
+    backgroundColor: '#fff3bf',
+  },
+  '.cm-wikilink-preview-message': {
+    color: '#888',
+  },
 
   // Frontmatter property editor
   '.cm-frontmatter-preview': {
@@ -96,6 +153,20 @@ export const lightTheme = EditorView.theme({
     backgroundColor: '#fff',
     boxShadow: '0 0 0 1px #228be6',
   },
+  '.cm-table-menu': {
+    backgroundColor: '#fff',
+    color: '#333',
+  },
+  '.cm-table-menu-item:not(:disabled):hover': {
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+  },
+  '.cm-table-menu-separator': {
+    backgroundColor: '#e1e4e8',
+  },
+  '.cm-table-cell-input:focus': {
+    backgroundColor: '#fff',
+    boxShadow: '0 0 0 1px #228be6',
+  },
   '.cm-frontmatter-input:focus': {
     backgroundColor: '#fff',
     boxShadow: '0 0 0 1px #228be6',
@@ -206,6 +277,23 @@ export const lightTheme = EditorView.theme({
   '.tok-regexp': { color: '#032f62' },
   '.tok-meta': { color: '#6a737d' },
 
+  // Outline panel
+  '.cm-outline-panel': {
+    backgroundColor: '#f8f9fa',
+    borderBottom: '1px solid #e1e4e8',
+    color: '#555',
+  },
+  '.cm-outline-label': {
+    color: '#333',
+  },
+  '.cm-outline-item:hover': {
+    backgroundColor: 'rgba(0, 0, 0, 0.05)',
+  },
+  '.cm-outline-item-active': {
+    backgroundColor: '#e8f0fe',
+    color: '#1a73e8',
+  },
+
   // Backlinks panel
   '.cm-backlinks-panel': {
     backgroundColor: '#f8f9fa',
@@ -308,4 +396,6 @@ export const lightTheme = EditorView.theme({
   '.footnote-def': { color: '#666' },
   '.footnote-def sup': { color: '#228be6' },
   '.md-wikilink, .cm-wikilink': { color: '#228be6' },
-});
+};
+
+export const lightTheme = EditorView.theme(lightThemeStyles);
@@ -0,0 +1,171 @@
+/**
+ * Delimited Text (CSV / TSV)
+ *
+ * RFC 4180-style parsing: fields may be quoted, quotes inside quoted fields
+ * are doubled (""), and quoted fields may contain the delimiter or line
+ * breaks. Unquoted fields are trimmed and blank lines are skipped.
+ *
+ * Also converts between delimited text and pipe tables for the
+ * csvToTable / tableToCsv actions.
+ */
+
+import { parseTableRow, isTableSeparator, renderTableCells } from './markdown.js';
+
+const NUMBER_REGEX = /^[-+]?[$€£¥]?\d[\d,]*(\.\d+)?%?$/;
+
+/**
+ * Parse delimited text into rows of fields
+ * @param {string} text
+ * @param {string} [delimiter=','] - Field delimiter (',' for CSV, '\t' for TSV)
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let inQuotes = false;
+
+  const endField = () => {
+    row.push(quoted ? field : field.trim());
+    field = '';
+    quoted = false;
+  };
+  const endRow = () => {
+    endField();
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && !quoted && field.trim() === '') {
+      // Opening quote (whitespace before it is dropped)
+      field = '';
+      quoted = true;
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      endField();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else if (!quoted) {
+      // Text after a closing quote is ignored
+      field += ch;
+    }
+  }
+
+  if (field !== '' || quoted || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Format rows as delimited text, quoting fields that need it
+ * @param {string[][]} rows
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatDelimited(rows, delimiter = ',') {
+  const needsQuotes = (field) =>
+    field.includes(delimiter) || field.includes('"') || /[\r\n]/.test(field) || field !== field.trim();
+
+  return rows
+    .map((row) => row
+      .map((field) => (needsQuotes(field) ? `"${field.replace(/"/g, '""')}"` : field))
+      .join(delimiter))
+    .join('\n');
+}
+
+/**
+ * Pad rows to the same number of columns
+ */
+function normalizeColumns(rows) {
+  const width = Math.max(0, ...rows.map((row) => row.length));
+  return rows.map((row) => [...row, ...Array(width - row.length).fill('')]);
+}
+
+/**
+ * Right-align columns whose body values are all numbers
+ * @returns {Array<'right'|null>}
+ */
+function getNumericAlignments(header, body) {
+  return header.map((_, index) => {
+    const values = body.map((row) => row[index]).filter((value) => value !== '');
+    return values.length > 0 && values.every((value) => NUMBER_REGEX.test(value)) ? 'right' : null;
+  });
+}
+
+/**
+ * Render delimited text as table HTML (the same markup as pipe tables).
+ * The first row is the header; numeric columns are right-aligned.
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function renderDelimitedTable(text, delimiter = ',') {
+  const rows = normalizeColumns(parseDelimited(text, delimiter));
+  if (rows.length === 0) {
+    return '<span class="md-table-empty">Empty table</span>';
+  }
+
+  const [header, ...body] = rows;
+  return renderTableCells(header, body, getNumericAlignments(header, body), { plainText: true });
+}
+
+/**
+ * Escape a field for use as a pipe table cell
+ */
+function toPipeCell(field) {
+  return field.replace(/\r?\n/g, ' ').replace(/\|/g, '\\|');
+}
+
+/**
+ * Convert delimited text to pipe table lines (numeric columns right-aligned)
+ * @param {string} text
+ * @param {string} [delimiter=',']
+ * @returns {string[]} Table lines, empty if there is no data
+ */
+export function delimitedToPipeTable(text, delimiter = ',') {
+  const rows = normalizeColumns(parseDelimited(text, delimiter));
+  if (rows.length === 0) return [];
+
+  const [header, ...body] = rows;
+  const alignments = getNumericAlignments(header, body);
+  const toLine = (cells) => `| ${cells.map(toPipeCell).join(' | ')} |`;
+  const separator = `| ${alignments.map((align) => (align === 'right' ? '---:' : '---')).join(' | ')} |`;
+
+  return [toLine(header), separator, ...body.map(toLine)];
+}
+
+/**
+ * Convert pipe table lines to delimited text. Column alignment is dropped.
+ * @param {string[]} lines - Table lines (header, separator, body)
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function pipeTableToDelimited(lines, delimiter = ',') {
+  const rows = lines
+    .filter((line) => !isTableSeparator(line))
+    .map(parseTableRow)
+    .filter(Boolean);
+  return formatDelimited(normalizeColumns(rows), delimiter);
+}
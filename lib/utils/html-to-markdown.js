@@ -0,0 +1,307 @@
+/**
+ * HTML to Markdown
+ *
+ * Converts clipboard HTML (web pages, Google Docs, Word, spreadsheets) into
+ * the markdown this library renders: headings, paragraphs, bold, italic,
+ * strikethrough, ==highlight==, ~sub~ / ^sup^, inline code and fenced code
+ * blocks, links, images, nested and task lists, blockquotes, rules and pipe
+ * tables. Anything else is reduced to its text.
+ *
+ * Formatting is also read from inline styles, since Google Docs marks bold,
+ * italic and highlighted text with styled spans rather than tags.
+ */
+
+import { formatTable } from './table.js';
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+  'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5',
+  'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY',
+  'TABLE', 'UL',
+]);
+
+const IGNORED_TAGS = new Set([
+  'HEAD', 'META', 'LINK', 'NOSCRIPT', 'SCRIPT', 'STYLE', 'TEMPLATE', 'TITLE', 'BUTTON',
+  'INPUT', 'SELECT', 'TEXTAREA',
+]);
+
+/**
+ * Tags whose presence means the HTML carries formatting worth converting.
+ * HTML with none of these (e.g. code copied from an IDE) is pasted as text.
+ */
+const FORMATTING_SELECTOR = 'h1, h2, h3, h4, h5, h6, ul, ol, table, blockquote, pre, code, '
+  + 'a[href], img[src], strong, b, em, i, mark, del, s, strike, sub, sup, hr';
+
+function isBlock(node) {
+  return node.nodeType === 1 && BLOCK_TAGS.has(node.tagName);
+}
+
+function containsBlock(node) {
+  return Array.from(node.childNodes).some((child) => isBlock(child) || (child.nodeType === 1 && containsBlock(child)));
+}
+
+/**
+ * Escape characters that would otherwise start markdown formatting
+ */
+function escapeText(text) {
+  return text
+    .replace(/([\\`*[\]])/g, '\\$1')
+    .replace(/(^|\W)_|_(?=\W|$)/g, (match) => match.replace('_', '\\_'));
+}
+
+/**
+ * Wrap inline content in a delimiter, keeping surrounding spaces outside
+ */
+function wrap(content, delimiter) {
+  const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!match[2]) return content;
+  return `${match[1]}${delimiter}${match[2]}${delimiter}${match[3]}`;
+}
+
+/**
+ * Formatting implied by an element's inline style
+ */
+function getStyleFormatting(element) {
+  const style = element.style;
+  if (!style) return [];
+
+  const formats = [];
+  const weight = style.fontWeight;
+  if (weight === 'bold' || weight === 'bolder' || Number(weight) >= 600) formats.push('**');
+  if (style.fontStyle === 'italic') formats.push('*');
+  if ((style.textDecoration || style.textDecorationLine || '').includes('line-through')) formats.push('~~');
+
+  const background = (style.backgroundColor || '').replace(/\s/g, '');
+  if (background && !/^(transparent|initial|inherit|#fff(fff)?|white|rgba?\(255,255,255(,1)?\)|rgba\(.*,0\))$/i.test(background)) {
+    formats.push('==');
+  }
+  return formats;
+}
+
+function getCodeLanguage(pre) {
+  const code = pre.querySelector('code');
+  const className = `${pre.className} ${code ? code.className : ''}`;
+  const match = className.match(/(?:language|lang)-([\w+#-]+)/);
+  return match ? match[1] : '';
+}
+
+function fence(text, char) {
+  let length = 3;
+  const runs = text.match(new RegExp(`${char === '`' ? '`' : '~'}+`, 'g')) || [];
+  for (const run of runs) length = Math.max(length, run.length + 1);
+  return char.repeat(length);
+}
+
+/**
+ * Convert inline content of a node
+ */
+function convertInline(node, context = {}) {
+  return Array.from(node.childNodes, (child) => convertInlineNode(child, context)).join('');
+}
+
+function convertInlineNode(node, context) {
+  if (node.nodeType === 3) {
+    return escapeText(node.data.replace(/\s+/g, ' '));
+  }
+  if (node.nodeType !== 1 || IGNORED_TAGS.has(node.tagName)) return '';
+
+  const tag = node.tagName;
+  let content;
+
+  switch (tag) {
+    case 'BR':
+      return context.singleLine ? ' ' : '\n';
+    case 'IMG': {
+      const src = node.getAttribute('src') || '';
+      // Inline data URIs would flood the document
+      if (!src || src.startsWith('data:')) return '';
+      const alt = (node.getAttribute('alt') || '').replace(/[[\]]/g, '');
+      return `![${alt}](${src.replace(/ /g, '%20')})`;
+    }
+    case 'CODE':
+    case 'KBD':
+    case 'SAMP':
+    case 'TT': {
+      const text = node.textContent.replace(/\s+/g, ' ');
+      if (!text.trim()) return text;
+      const ticks = fence(text, '`').slice(2);
+      const pad = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+      return `${ticks}${pad}${text}${pad}${ticks}`;
+    }
+    case 'A': {
+      content = convertInline(node, context);
+      const href = node.getAttribute('href') || '';
+      if (!href || href.startsWith('#') || /^javascript:/i.test(href)) return content;
+      if (!content.trim()) return href;
+      const title = node.getAttribute('title');
+      const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+      return `[${content.trim()}](${href.replace(/ /g, '%20')}${titlePart})`;
+    }
+    default:
+      content = convertInline(node, context);
+  }
+
+  const delimiters = {
+    STRONG: '**', B: '**', EM: '*', I: '*', CITE: '*', DFN: '*', MARK: '==',
+    DEL: '~~', S: '~~', STRIKE: '~~', SUB: '~', SUP: '^',
+  };
+
+  // Google Docs wraps the whole paste in <b style="font-weight:normal">
+  if (tag === 'B' && node.style && node.style.fontWeight === 'normal') {
+    return content;
+  }
+
+  const formats = delimiters[tag] ? [delimiters[tag]] : [];
+  for (const format of getStyleFormatting(node)) {
+    if (!formats.includes(format)) formats.push(format);
+  }
+  return formats.reduce((text, delimiter) => wrap(text, delimiter), content);
+}
+
+/**
+ * Tidy a paragraph: trim lines and drop empty ones
+ */
+function paragraph(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Convert a node's children into markdown blocks
+ * @returns {string[]}
+ */
+function convertBlocks(node) {
+  const blocks = [];
+  let inline = [];
+
+  const flush = () => {
+    const text = paragraph(inline.join(''));
+    if (text) blocks.push(text);
+    inline = [];
+  };
+
+  for (const child of node.childNodes) {
+    if (child.nodeType === 1 && IGNORED_TAGS.has(child.tagName)) continue;
+
+    if (isBlock(child) || (child.nodeType === 1 && containsBlock(child))) {
+      flush();
+      blocks.push(...convertBlock(child));
+    } else {
+      inline.push(convertInlineNode(child, {}));
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+function convertList(list) {
+  const ordered = list.tagName === 'OL';
+  let number = Number(list.getAttribute('start')) || 1;
+  const items = [];
+
+  for (const item of list.children) {
+    if (item.tagName === 'UL' || item.tagName === 'OL') {
+      // Nested list placed directly inside the list (invalid but common)
+      items.push(indent(convertList(item), ordered ? '   ' : '  '));
+      continue;
+    }
+    if (item.tagName !== 'LI') continue;
+
+    let marker = ordered ? `${number++}. ` : '- ';
+    const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+    if (checkbox) marker += checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ';
+
+    const blocks = convertBlocks(item);
+    const content = blocks.join('\n');
+    items.push(marker + indent(content, ' '.repeat(marker.length)).trimStart());
+  }
+
+  return items.join('\n');
+}
+
+function indent(text, prefix) {
+  return text.split('\n').map((line) => (line ? prefix + line : line)).join('\n');
+}
+
+function convertTable(table) {
+  const rows = Array.from(table.querySelectorAll('tr'))
+    .filter((tr) => tr.closest('table') === table)
+    .map((tr) => Array.from(tr.children)
+      .filter((cell) => cell.tagName === 'TD' || cell.tagName === 'TH')
+      .map((cell) => paragraph(convertInline(cell, { singleLine: true }))));
+  if (rows.length === 0) return [];
+
+  const width = Math.max(...rows.map((row) => row.length));
+  if (width === 0) return [];
+  const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+
+  const [header, ...body] = rows.map(pad);
+  return [formatTable({ header, alignments: Array(width).fill(null), rows: body }).join('\n')];
+}
+
+/**
+ * Convert one block element into markdown blocks
+ * @returns {string[]}
+ */
+function convertBlock(element) {
+  const tag = element.tagName;
+
+  switch (tag) {
+    case 'H1':
+    case 'H2':
+    case 'H3':
+    case 'H4':
+    case 'H5':
+    case 'H6': {
+      const text = paragraph(convertInline(element, { singleLine: true }));
+      return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+    }
+    case 'UL':
+    case 'OL': {
+      const list = convertList(element);
+      return list ? [list] : [];
+    }
+    case 'BLOCKQUOTE': {
+      const content = convertBlocks(element).join('\n\n');
+      return content ? [content.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n')] : [];
+    }
+    case 'PRE': {
+      const code = element.textContent.replace(/\n$/, '');
+      const marks = fence(code, '`');
+      return [`${marks}${getCodeLanguage(element)}\n${code}\n${marks}`];
+    }
+    case 'HR':
+      return ['---'];
+    case 'TABLE':
+      return convertTable(element);
+    default:
+      return convertBlocks(element);
+  }
+}
+
+/**
+ * Whether clipboard HTML has formatting worth converting to markdown
+ * @param {string} html
+ * @returns {boolean}
+ */
+export function hasMarkdownFormatting(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  if (doc.body.querySelector(FORMATTING_SELECTOR)) return true;
+
+  // Styled spans (Google Docs)
+  return Array.from(doc.body.querySelectorAll('span[style]')).some((span) => getStyleFormatting(span).length > 0);
+}
+
+/**
+ * Convert an HTML string to markdown
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return convertBlocks(doc.body).join('\n\n').trim();
+}
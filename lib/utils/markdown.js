@@ -16,6 +16,12 @@ const CUSTOM_TASK_META = {
 const WIKI_LINK_OPEN = '[[';
 const WIKI_LINK_CLOSE = ']]';
 
+/**
+ * Block ID marker at the end of a paragraph or list item line (`text ^my-id`)
+ */
+const BLOCK_ID_REGEX = /(?:^|\s)\^([A-Za-z0-9-]+)$/;
+const BLOCK_ID_CHARS = /^[A-Za-z0-9-]+$/;
+
 function isTrimmed(value) {
   return value === value.trim();
 }
@@ -35,10 +41,15 @@ function parseWikiLinkContent(content) {
   const title = hashIndex === -1 ? target : target.slice(0, hashIndex);
   const section = hashIndex === -1 ? null : target.slice(hashIndex + 1);
 
-  if (!title || !isTrimmed(title)) return null;
+  // An empty title (`[[#Heading]]`) links to a heading in the same note
+  if (!isTrimmed(title) || (!title && section === null)) return null;
   if (section !== null && (!section || !isTrimmed(section))) return null;
 
   const display = alias ?? (section ?? title);
+  // `[[Note#^block-id]]` links to a block instead of a heading
+  const block = section && section.startsWith('^') && BLOCK_ID_CHARS.test(section.slice(1))
+    ? section.slice(1)
+    : null;
 
   return {
     raw: `${WIKI_LINK_OPEN}${content}${WIKI_LINK_CLOSE}`,
@@ -46,6 +57,8 @@ function parseWikiLinkContent(content) {
     section,
     alias,
     display,
+    block,
+    embed: false,
   };
 }
 
@@ -54,6 +67,12 @@ function findClosingBackticks(text, start, tickCount) {
   return text.indexOf(ticks, start + tickCount);
 }
 
+/**
+ * Find wiki links in a line of text, skipping code spans.
+ * Embeds (`![[...]]`) are included with `meta.embed` set and `from` at the `!`.
+ * `[[Note#^block-id]]` links carry the ID in `meta.block`.
+ * @returns {Array<{ from: number, to: number, meta: Object }>}
+ */
 export function findWikiLinks(text) {
   const matches = [];
   let i = 0;
@@ -83,7 +102,8 @@ export function findWikiLinks(text) {
       const content = text.slice(i + 2, end);
       const meta = parseWikiLinkContent(content);
       if (meta) {
-        matches.push({ from: i, to: end + 2, meta });
+        const embed = text[i - 1] === '!';
+        matches.push({ from: embed ? i - 1 : i, to: end + 2, meta: { ...meta, embed } });
         i = end + 2;
         continue;
       }
@@ -133,15 +153,6 @@ export function findTags(text) {
   return matches;
 }
 
-const md = new MarkdownIt({
-  html: false,
-  linkify: true,
-  breaks: false,
-  typographer: false,
-});
-
-md.use(markdownItEmoji);
-
 function addWikiLinkRule(markdown) {
   markdown.inline.ruler.before('link', 'wikilink', (state, silent) => {
     if (!state.env || state.env.enableWikiLinks !== true) return false;
@@ -167,11 +178,13 @@ function addWikiLinkRule(markdown) {
     return true;
   });
 
-  markdown.renderer.rules.wikilink = (tokens, idx) => {
+  markdown.renderer.rules.wikilink = (tokens, idx, options, env) => {
     const meta = tokens[idx].meta || {};
     const escape = markdown.utils.escapeHtml;
+    // Links the note index cannot resolve get the missing style
+    const missing = Boolean(env && env.noteIndex && meta.title && !env.noteIndex.resolve(meta.title));
     const attrs = [
-      'class="md-wikilink"',
+      missing ? 'class="md-wikilink md-wikilink-missing"' : 'class="md-wikilink"',
       `data-wikilink="${escape(meta.raw || '')}"`,
       `data-wikilink-title="${escape(meta.title || '')}"`,
     ];
@@ -182,10 +195,41 @@ function addWikiLinkRule(markdown) {
     if (meta.alias) {
       attrs.push(`data-wikilink-alias="${escape(meta.alias)}"`);
     }
+    if (meta.block) {
+      attrs.push(`data-wikilink-block="${escape(meta.block)}"`);
+    }
 
     const label = escape(meta.display || meta.title || '');
     return `<span ${attrs.join(' ')}>${label}</span>`;
   };
+
+  // Note embeds (`![[Note]]`, `![[Note#Section]]`) inside embedded content
+  // become placeholders that the preview fills in
+  markdown.inline.ruler.before('image', 'note_embed', (state, silent) => {
+    if (!state.env || state.env.noteEmbeds !== true) return false;
+
+    const start = state.pos;
+    if (!state.src.startsWith('![[', start)) return false;
+
+    const end = state.src.indexOf(WIKI_LINK_CLOSE, start + 3);
+    if (end === -1) return false;
+
+    const meta = parseWikiLinkContent(state.src.slice(start + 3, end));
+    if (!meta || !meta.title || isImageFile(meta.title)) return false;
+
+    if (!silent) {
+      const token = state.push('note_embed', '', 0);
+      token.meta = meta;
+    }
+
+    state.pos = end + 2;
+    return true;
+  });
+
+  markdown.renderer.rules.note_embed = (tokens, idx) => {
+    const meta = tokens[idx].meta;
+    return `<span class="md-note-embed" data-embed="${markdown.utils.escapeHtml(meta.raw)}"></span>`;
+  };
 }
 
 // Tag regex: #tag or #tag/subtag, must have at least one letter
@@ -361,6 +405,31 @@ function addSuperscriptRule(markdown) {
   });
 }
 
+function addBlockIdRule(markdown) {
+  // Ahead of superscript, which would otherwise claim the `^`
+  markdown.inline.ruler.before('superscript', 'block_id', (state, silent) => {
+    const start = state.pos;
+    if (state.src.charCodeAt(start) !== 0x5e) return false; // ^
+    if (start > 0 && !/\s/.test(state.src[start - 1])) return false;
+
+    const match = state.src.slice(start).match(/^\^([A-Za-z0-9-]+)(?=\n|$)/);
+    if (!match) return false;
+
+    if (!silent) {
+      const token = state.push('block_id', '', 0);
+      token.meta = { id: match[1] };
+    }
+
+    state.pos = start + match[0].length;
+    return true;
+  });
+
+  markdown.renderer.rules.block_id = (tokens, idx) => {
+    const id = markdown.utils.escapeHtml(tokens[idx].meta.id);
+    return `<span class="md-block-id" id="^${id}" data-block-id="${id}" title="Block ^${id}">^${id}</span>`;
+  };
+}
+
 function addFootnoteReferenceRule(markdown) {
   markdown.inline.ruler.before('link', 'footnote_ref', (state, silent) => {
     const start = state.pos;
@@ -388,13 +457,170 @@ function addFootnoteReferenceRule(markdown) {
   };
 }
 
-addInlineMathRule(md);
-addHighlightRule(md);
-addSubscriptRule(md);
-addSuperscriptRule(md);
-addFootnoteReferenceRule(md);
-addWikiLinkRule(md);
-addTagRule(md);
+/**
+ * Obsidian-style size suffix on image alt text: `alt|300` or `alt|300x200`
+ */
+const IMAGE_SIZE_REGEX = /^(.*?)\|(\d+)(?:x(\d+))?$/;
+
+/**
+ * Split an image's alt text into the text and its optional size suffix
+ * @param {string} alt
+ * @returns {{ alt: string, width: number|null, height: number|null }}
+ */
+export function parseImageAlt(alt) {
+  const match = alt.match(IMAGE_SIZE_REGEX);
+  if (!match) return { alt, width: null, height: null };
+  return {
+    alt: match[1].trim(),
+    width: Number(match[2]),
+    height: match[3] ? Number(match[3]) : null,
+  };
+}
+
+const IMAGE_FILE_REGEX = /\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico)$/i;
+
+/**
+ * Whether a file name or path has an image extension
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isImageFile(name) {
+  return IMAGE_FILE_REGEX.test(name);
+}
+
+/**
+ * Parse the alias of an image embed: `300`, `300x200`, `alt` or `alt|300`
+ * @param {string|null} alias
+ * @returns {{ alt: string, width: number|null, height: number|null }}
+ */
+export function parseImageEmbedAlias(alias) {
+  if (!alias) return { alt: '', width: null, height: null };
+  return parseImageAlt(/^\d+(?:x\d+)?$/.test(alias) ? `|${alias}` : alias);
+}
+
+/**
+ * Render an <img> for the preview. With `env.resolveImages` the source goes
+ * in `data-src` so the preview can pass it through resolveImageUrl before
+ * the browser requests it.
+ */
+function renderImageTag(markdown, { src, alt, title, width, height, embed }, env) {
+  const escape = markdown.utils.escapeHtml;
+  const attrs = [
+    `${env && env.resolveImages ? 'data-src' : 'src'}="${escape(src)}"`,
+    `alt="${escape(alt)}"`,
+  ];
+  if (title) attrs.push(`title="${escape(title)}"`);
+  attrs.push(`class="md-image${embed ? ' md-image-embed' : ''}"`, 'loading="lazy"');
+
+  const style = [width && `width: ${width}px`, height && `height: ${height}px`].filter(Boolean);
+  if (style.length) attrs.push(`style="${style.join('; ')}"`);
+
+  return `<img ${attrs.join(' ')}>`;
+}
+
+/**
+ * Render images with the size suffix applied and lazy loading, and
+ * Obsidian-style image embeds (`![[image.png]]`, `![[image.png|300]]`)
+ */
+function addImageRule(markdown) {
+  markdown.renderer.rules.image = (tokens, idx, options, env, slf) => {
+    const token = tokens[idx];
+    const { alt, width, height } = parseImageAlt(slf.renderInlineAsText(token.children, options, env));
+    return renderImageTag(markdown, {
+      src: token.attrGet('src'),
+      alt,
+      title: token.attrGet('title'),
+      width,
+      height,
+    }, env);
+  };
+
+  markdown.inline.ruler.before('image', 'image_embed', (state, silent) => {
+    const start = state.pos;
+    if (!state.src.startsWith('![[', start)) return false;
+
+    const end = state.src.indexOf(WIKI_LINK_CLOSE, start + 3);
+    if (end === -1) return false;
+
+    const meta = parseWikiLinkContent(state.src.slice(start + 3, end));
+    if (!meta || meta.section || !isImageFile(meta.title)) return false;
+
+    if (!silent) {
+      const token = state.push('image_embed', 'img', 0);
+      token.meta = meta;
+    }
+
+    state.pos = end + 2;
+    return true;
+  });
+
+  markdown.renderer.rules.image_embed = (tokens, idx, options, env) => {
+    const meta = tokens[idx].meta;
+    const { alt, width, height } = parseImageEmbedAlias(meta.alias);
+    return renderImageTag(markdown, { src: meta.title, alt, width, height, embed: true }, env);
+  };
+}
+
+/**
+ * A line made only of two or more images, rendered as a gallery
+ */
+const IMAGE_GALLERY_REGEX = /^\s*(?:(?:!\[[^\]]*\]\([^)]+\)|!\[\[[^\]|]+\.(?:png|jpe?g|gif|svg|webp|avif|bmp|ico)(?:\|[^\]]*)?\]\])\s*){2,}$/i;
+
+/**
+ * Create a markdown-it instance with the editor's syntax extensions
+ * (emoji, inline math, highlight, sub/superscript, block IDs, footnotes, wiki links, tags,
+ * sized images)
+ */
+function createMarkdownIt() {
+  const markdown = new MarkdownIt({
+    html: false,
+    linkify: true,
+    breaks: false,
+    typographer: false,
+  });
+
+  markdown.use(markdownItEmoji);
+  addInlineMathRule(markdown);
+  addHighlightRule(markdown);
+  addSubscriptRule(markdown);
+  addSuperscriptRule(markdown);
+  addBlockIdRule(markdown);
+  addFootnoteReferenceRule(markdown);
+  addWikiLinkRule(markdown);
+  addTagRule(markdown);
+  addImageRule(markdown);
+
+  return markdown;
+}
+
+/**
+ * Shared instance used when no per-editor instance is passed in `options.md`
+ */
+const md = createMarkdownIt();
+
+/**
+ * Escape text for use in HTML content or attribute values
+ */
+export const escapeHtml = md.utils.escapeHtml;
+
+/**
+ * Create a markdown-it instance with the built-in syntax extensions plus
+ * extra plugins. Each entry is a plugin function or a `[plugin, ...params]`
+ * array, applied in order with `markdown.use()`; other entries are ignored.
+ * Pass the result as `options.md` to the render functions.
+ *
+ * @param {Array<Function|Array>} [plugins]
+ * @returns {MarkdownIt}
+ */
+export function createMarkdownRenderer(plugins = []) {
+  const markdown = createMarkdownIt();
+  for (const entry of plugins) {
+    const [plugin, ...params] = Array.isArray(entry) ? entry : [entry];
+    if (typeof plugin !== 'function') continue;
+    markdown.use(plugin, ...params);
+  }
+  return markdown;
+}
 
 /**
  * Render block math $$...$$
@@ -424,13 +650,16 @@ export function renderFootnoteDef(id, content, options = {}) {
 
 /**
  * Render inline content with extensions
+ * (uses `options.md` when given, otherwise the shared instance)
  */
 export function renderInline(text, options = {}) {
   const env = {
     enableWikiLinks: options.enableWikiLinks === true,
+    noteIndex: options.noteIndex ?? null,
     enableTags: options.enableTags === true,
+    resolveImages: options.resolveImages === true,
   };
-  return md.renderInline(text, env);
+  return (options.md ?? md).renderInline(text, env);
 }
 
 /**
@@ -495,6 +724,126 @@ export function renderDefinitionList(lines, options = {}) {
   return `<dl class="md-definition-list"><dt>${termHtml}</dt>${defHtml}</dl>`;
 }
 
+/**
+ * Parse an ATX heading line into its level, text and optional heading ID.
+ * Heading IDs may be written as `[#id]` or `{#id}` at the end of the line.
+ * @returns {{ level: number, text: string, id: string|null } | null}
+ */
+export function parseHeading(content) {
+  const headerMatch = content.match(/^(#{1,6})\s+(.*)$/);
+  if (!headerMatch) return null;
+
+  let text = headerMatch[2];
+  let id = null;
+  const idMatch = text.match(/^(.*)\s+(?:\[#([A-Za-z0-9_-]+)\]|\{#([A-Za-z0-9_-]+)\})\s*$/);
+  if (idMatch) {
+    text = idMatch[1];
+    id = idMatch[2] || idMatch[3];
+  }
+
+  return { level: headerMatch[1].length, text, id };
+}
+
+/**
+ * Remove a leading YAML frontmatter block from a markdown document
+ * @param {string} content
+ * @returns {string}
+ */
+export function stripFrontmatter(content) {
+  return content.replace(/^---\n[\s\S]*?\n(?:---|\.\.\.)(?:\n|$)/, '');
+}
+
+/**
+ * Block ID at the end of a line (`text ^my-id`)
+ * @param {string} line
+ * @returns {string|null}
+ */
+export function parseBlockId(line) {
+  const match = line.trimEnd().match(BLOCK_ID_REGEX);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether a line starts a list item
+ */
+function isListItemStart(line) {
+  return /^\s*(?:[-*+]|\d+[.)])\s/.test(line);
+}
+
+/**
+ * Extract the paragraph or list item marked with `^id` from a markdown
+ * document, without the marker. Markers inside fenced code are ignored.
+ * @param {string} content
+ * @param {string} id
+ * @returns {string|null} The block, or null if no line carries the ID
+ */
+export function extractBlock(content, id) {
+  const lines = content.split('\n');
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence || parseBlockId(lines[i]) !== id) continue;
+
+    // Walk back to the start of the paragraph or list item
+    let start = i;
+    while (start > 0 && !isListItemStart(lines[start]) && lines[start - 1].trim() && !parseHeading(lines[start - 1])) {
+      start--;
+    }
+
+    const block = lines.slice(start, i + 1);
+    block[block.length - 1] = block[block.length - 1].trimEnd().replace(BLOCK_ID_REGEX, '');
+    return block.join('\n').trimEnd();
+  }
+
+  return null;
+}
+
+/**
+ * Extract a section from a markdown document: the heading whose text or ID
+ * matches `section` (case-insensitive) and everything up to the next heading
+ * of the same or a higher level. Headings inside fenced code are ignored.
+ * @param {string} content
+ * @param {string} section
+ * @returns {string|null} The section including its heading, or null if not found
+ */
+export function extractSection(content, section) {
+  const lines = content.split('\n');
+  const target = section.trim().toLowerCase();
+  let start = -1;
+  let level = 0;
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const fenceMatch = lines[i].match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      continue;
+    }
+    if (fence) continue;
+
+    const heading = parseHeading(lines[i]);
+    if (!heading) continue;
+
+    if (start === -1) {
+      if (heading.text.trim().toLowerCase() === target || (heading.id && heading.id.toLowerCase() === target)) {
+        start = i;
+        level = heading.level;
+      }
+    } else if (heading.level <= level) {
+      return lines.slice(start, i).join('\n').trimEnd();
+    }
+  }
+
+  return start === -1 ? null : lines.slice(start).join('\n').trimEnd();
+}
+
 /**
  * Render a single line of markdown to HTML
  * Handles both block elements (headers) and inline elements
@@ -519,18 +868,10 @@ export function renderMarkdownLine(content, options = {}) {
   }
 
   // Check if it's a header line
-  const headerMatch = content.match(/^(#{1,6})\s+(.*)$/);
-  if (headerMatch) {
-    const level = headerMatch[1].length;
-    let text = headerMatch[2];
-    let headingId = null;
-    const idMatch = text.match(/^(.*)\s+(?:\[#([A-Za-z0-9_-]+)\]|\{#([A-Za-z0-9_-]+)\})\s*$/);
-    if (idMatch) {
-      text = idMatch[1];
-      headingId = idMatch[2] || idMatch[3];
-    }
-    const idAttr = headingId ? ` id="${headingId}" data-heading-id="${headingId}"` : '';
-    return `<span class="md-header md-h${level}"${idAttr}>${renderInline(text, renderOptions)}</span>`;
+  const heading = parseHeading(content);
+  if (heading) {
+    const idAttr = heading.id ? ` id="${heading.id}" data-heading-id="${heading.id}"` : '';
+    return `<span class="md-header md-h${heading.level}"${idAttr}>${renderInline(heading.text, renderOptions)}</span>`;
   }
 
   // Callout blocks handled by dedicated plugin — render as plain blockquote
@@ -594,6 +935,11 @@ export function renderMarkdownLine(content, options = {}) {
     return `<span class="md-table-row">${renderedCells}</span>`;
   }
 
+  // Several images on their own line
+  if (IMAGE_GALLERY_REGEX.test(content)) {
+    return `<span class="md-image-gallery">${renderInline(content.trim(), renderOptions)}</span>`;
+  }
+
   // Default: render as inline markdown with extensions
   return renderInline(content, renderOptions);
 }
@@ -604,39 +950,127 @@ export function renderMarkdownLine(content, options = {}) {
 export function renderDocument(content, options = {}) {
   const env = {
     enableWikiLinks: options.enableWikiLinks === true,
+    noteIndex: options.noteIndex ?? null,
+    enableTags: options.enableTags === true,
+    resolveImages: options.resolveImages === true,
+    noteEmbeds: options.noteEmbeds === true,
   };
-  return md.render(content, env);
+  return (options.md ?? md).render(content, env);
 }
 
 /**
- * Render a table from an array of row strings
+ * Split a pipe table row into trimmed cells. Escaped pipes (`\|`) stay in the
+ * cell as `|`.
+ * @returns {string[]|null} Cells, or null if the line is not a table row
  */
-export function renderTable(rows, options = {}) {
-  if (rows.length === 0) return '';
+export function parseTableRow(row) {
+  const trimmed = row.trim();
+  if (!trimmed.startsWith('|') || !trimmed.endsWith('|') || trimmed.length < 2) return null;
+
+  const cells = [];
+  let cell = '';
+  const inner = trimmed.slice(1, -1);
+  for (let i = 0; i < inner.length; i++) {
+    const ch = inner[i];
+    if (ch === '\\' && inner[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (ch === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
 
-  const parseRow = (row) => {
-    const trimmed = row.trim();
-    if (!trimmed.startsWith('|') || !trimmed.endsWith('|')) return null;
-    return trimmed.slice(1, -1).split('|').map(cell => cell.trim());
-  };
+/**
+ * Check if a row is a table separator row (|---|:---:|)
+ */
+export function isTableSeparator(row) {
+  const trimmed = row.trim();
+  return /^\|[-:\s|]+\|$/.test(trimmed) && trimmed.includes('-');
+}
+
+/**
+ * Parse the column alignments of a separator row
+ * @returns {Array<'left'|'center'|'right'|null>}
+ */
+export function parseTableAlignments(row) {
+  return row.trim().slice(1, -1).split('|').map((cell) => {
+    const spec = cell.trim();
+    const left = spec.startsWith(':');
+    const right = spec.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    if (left) return 'left';
+    return null;
+  });
+}
 
-  const isSeparator = (row) => {
-    const trimmed = row.trim();
-    return /^\|[-:\s|]+\|$/.test(trimmed) && trimmed.includes('-');
+/**
+ * Render table HTML from parsed cells
+ * @param {string[]|null} headerRow - Header cells
+ * @param {string[][]} bodyRows - Body rows
+ * @param {Array<'left'|'center'|'right'|null>} [alignments] - Column alignments
+ * @param {Object} [options] - Render options; `plainText: true` escapes cells instead of rendering markdown
+ */
+export function renderTableCells(headerRow, bodyRows, alignments = [], options = {}) {
+  const renderCell = (tag, cell, index) => {
+    const align = alignments[index];
+    const style = align ? ` style="text-align: ${align}"` : '';
+    const content = options.plainText ? escapeHtml(cell) : renderInline(cell, options);
+    return `<${tag}${style}>${content}</${tag}>`;
   };
 
+  let html = '<table class="md-table">';
+
+  if (headerRow) {
+    html += '<thead><tr>';
+    headerRow.forEach((cell, index) => {
+      html += renderCell('th', cell, index);
+    });
+    html += '</tr></thead>';
+  }
+
+  if (bodyRows.length > 0) {
+    html += '<tbody>';
+    for (const row of bodyRows) {
+      html += '<tr>';
+      row.forEach((cell, index) => {
+        html += renderCell('td', cell, index);
+      });
+      html += '</tr>';
+    }
+    html += '</tbody>';
+  }
+
+  html += '</table>';
+  return html;
+}
+
+/**
+ * Render a table from an array of row strings
+ */
+export function renderTable(rows, options = {}) {
+  if (rows.length === 0) return '';
+
   // Find header and body rows
   let headerRow = null;
   let bodyRows = [];
+  let alignments = [];
   let separatorFound = false;
 
   for (const row of rows) {
-    if (isSeparator(row)) {
+    if (!separatorFound && isTableSeparator(row)) {
       separatorFound = true;
+      alignments = parseTableAlignments(row);
       continue;
     }
 
-    const cells = parseRow(row);
+    const cells = parseTableRow(row);
     if (!cells) continue;
 
     if (!separatorFound && !headerRow) {
@@ -646,29 +1080,5 @@ export function renderTable(rows, options = {}) {
     }
   }
 
-  // Build HTML table
-  let html = '<table class="md-table">';
-
-  if (headerRow) {
-    html += '<thead><tr>';
-    for (const cell of headerRow) {
-      html += `<th>${renderInline(cell, options)}</th>`;
-    }
-    html += '</tr></thead>';
-  }
-
-  if (bodyRows.length > 0) {
-    html += '<tbody>';
-    for (const row of bodyRows) {
-      html += '<tr>';
-      for (const cell of row) {
-        html += `<td>${renderInline(cell, options)}</td>`;
-      }
-      html += '</tr>';
-    }
-    html += '</tbody>';
-  }
-
-  html += '</table>';
-  return html;
+  return renderTableCells(headerRow, bodyRows, alignments, options);
 }
@@ -0,0 +1,256 @@
+/**
+ * Pipe Table Model
+ *
+ * Parses a GFM pipe table into header cells, column alignments and body rows,
+ * and formats it back as aligned markdown. Used by the interactive table
+ * editor, which rewrites the whole table on every edit.
+ */
+
+import { parseTableRow, isTableSeparator, parseTableAlignments } from './markdown.js';
+
+/**
+ * Parse table lines into a table model
+ * @param {string[]} lines - Table lines (header, separator, body)
+ * @returns {{ header: string[], alignments: Array<'left'|'center'|'right'|null>, rows: string[][], indent: string }|null}
+ *   null if the lines are not a table with a separator row
+ */
+export function parseTable(lines) {
+  if (lines.length < 2 || !isTableSeparator(lines[1])) return null;
+
+  const header = parseTableRow(lines[0]);
+  if (!header) return null;
+
+  const rows = lines.slice(2).map(parseTableRow).filter(Boolean);
+  const alignments = parseTableAlignments(lines[1]);
+  const width = Math.max(header.length, ...rows.map((row) => row.length));
+  const pad = (cells, fill) => [...cells, ...Array(Math.max(0, width - cells.length)).fill(fill)];
+
+  return {
+    header: pad(header, ''),
+    alignments: pad(alignments, null).slice(0, width),
+    rows: rows.map((row) => pad(row, '')),
+    indent: lines[0].match(/^\s*/)[0],
+  };
+}
+
+const WIDE_CHAR_REGEX = /[\u1100-\u115f\u2e80-\u303e\u3041-\u33ff\u3400-\u4dbf\u4e00-\u9fff\ua000-\ua4cf\uac00-\ud7a3\uf900-\ufaff\ufe30-\ufe4f\uff00-\uff60\uffe0-\uffe6\u{20000}-\u{3fffd}]/u;
+// Emoji shown as pictures: default emoji presentation or an explicit VS16
+const EMOJI_REGEX = /\p{Emoji_Presentation}|\ufe0f|\p{Regional_Indicator}/u;
+const ZERO_WIDTH_REGEX = /^[\p{Mn}\p{Me}\p{Cf}]+$/u;
+
+const graphemeSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'grapheme' })
+  : null;
+
+/**
+ * Split text into user-perceived characters (code points as a fallback)
+ */
+function splitGraphemes(text) {
+  return graphemeSegmenter
+    ? Array.from(graphemeSegmenter.segment(text), (s) => s.segment)
+    : Array.from(text);
+}
+
+/**
+ * Display width of text in a monospace font: CJK and emoji take two
+ * columns, combining marks and other invisible characters none
+ * @param {string} text
+ * @returns {number}
+ */
+export function getTextWidth(text) {
+  // Fast path for ASCII
+  if (/^[\x20-\x7e]*$/.test(text)) return text.length;
+
+  let width = 0;
+  for (const char of splitGraphemes(text)) {
+    if (ZERO_WIDTH_REGEX.test(char)) continue;
+    width += EMOJI_REGEX.test(char) || WIDE_CHAR_REGEX.test(char) ? 2 : 1;
+  }
+  return width;
+}
+
+function padCell(text, width, align) {
+  const space = width - getTextWidth(text);
+  if (align === 'right') return ' '.repeat(space) + text;
+  if (align === 'center') {
+    const left = Math.floor(space / 2);
+    return ' '.repeat(left) + text + ' '.repeat(space - left);
+  }
+  return text + ' '.repeat(space);
+}
+
+function formatSeparatorCell(width, align) {
+  if (align === 'center') return `:${'-'.repeat(width - 2)}:`;
+  if (align === 'right') return `${'-'.repeat(width - 1)}:`;
+  if (align === 'left') return `:${'-'.repeat(width - 1)}`;
+  return '-'.repeat(width);
+}
+
+/**
+ * Format a table model as pipe table lines with padded, aligned columns
+ * @param {{ header: string[], alignments: Array<string|null>, rows: string[][], indent?: string }} table
+ * @returns {string[]}
+ */
+export function formatTable(table) {
+  const { header, alignments, rows, indent = '' } = table;
+  const escape = (cell) => cell.replace(/\|/g, '\\|');
+  const cells = [header, ...rows].map((row) => row.map(escape));
+  const widths = header.map((_, col) =>
+    Math.max(3, ...cells.map((row) => getTextWidth(row[col] ?? ''))));
+
+  const toLine = (row) =>
+    `${indent}| ${widths.map((width, col) => padCell(row[col] ?? '', width, alignments[col])).join(' | ')} |`;
+  const separator =
+    `${indent}| ${widths.map((width, col) => formatSeparatorCell(width, alignments[col])).join(' | ')} |`;
+
+  return [toLine(cells[0]), separator, ...cells.slice(1).map(toLine)];
+}
+
+/**
+ * Get the column index at a character offset in a table line
+ * (the number of unescaped pipes before it, minus the leading one)
+ * @param {string} line
+ * @param {number} offset
+ * @returns {number}
+ */
+export function getColumnAt(line, offset) {
+  let pipes = 0;
+  for (let i = 0; i < offset && i < line.length; i++) {
+    if (line[i] === '\\') i++;
+    else if (line[i] === '|') pipes++;
+  }
+  return Math.max(0, pipes - 1);
+}
+
+/**
+ * Get the offset of a cell's content in a formatted table line
+ * @param {string} line
+ * @param {number} col
+ * @returns {number}
+ */
+export function getCellOffset(line, col) {
+  let pipes = 0;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '\\') i++;
+    else if (line[i] === '|' && pipes++ === col) {
+      return Math.min(i + 2, line.length);
+    }
+  }
+  return line.length;
+}
+
+// ============================================================================
+// TABLE TRANSFORMS
+// ============================================================================
+// Row indices count the header as row 0 and body rows from 1, matching the
+// rendered table. Every transform returns a new table model.
+
+function copyTable(table) {
+  return {
+    ...table,
+    header: [...table.header],
+    alignments: [...table.alignments],
+    rows: table.rows.map((cells) => [...cells]),
+  };
+}
+
+/**
+ * Get the text of a cell
+ */
+export function getCell(table, row, col) {
+  return (row === 0 ? table.header : table.rows[row - 1])[col] ?? '';
+}
+
+/**
+ * Replace the text of a cell
+ */
+export function setCell(table, row, col, text) {
+  const updated = copyTable(table);
+  (row === 0 ? updated.header : updated.rows[row - 1])[col] = text;
+  return updated;
+}
+
+/**
+ * Insert an empty body row so that it becomes row `row` (1 or more)
+ */
+export function insertRow(table, row) {
+  const updated = copyTable(table);
+  updated.rows.splice(row - 1, 0, table.header.map(() => ''));
+  return updated;
+}
+
+/**
+ * Delete body row `row` (1 or more)
+ */
+export function deleteRow(table, row) {
+  const updated = copyTable(table);
+  updated.rows.splice(row - 1, 1);
+  return updated;
+}
+
+/**
+ * Insert an empty, unaligned column at index `col`
+ */
+export function insertColumn(table, col) {
+  const updated = copyTable(table);
+  for (const cells of [updated.header, ...updated.rows]) {
+    cells.splice(col, 0, '');
+  }
+  updated.alignments.splice(col, 0, null);
+  return updated;
+}
+
+/**
+ * Delete column `col`
+ */
+export function deleteColumn(table, col) {
+  const updated = copyTable(table);
+  for (const cells of [updated.header, ...updated.rows, updated.alignments]) {
+    cells.splice(col, 1);
+  }
+  return updated;
+}
+
+/**
+ * Move column `from` (cells and alignment) to index `to`
+ */
+export function moveColumn(table, from, to) {
+  const updated = copyTable(table);
+  for (const cells of [updated.header, ...updated.rows, updated.alignments]) {
+    const [moved] = cells.splice(from, 1);
+    cells.splice(to, 0, moved);
+  }
+  return updated;
+}
+
+/**
+ * Set the alignment of column `col`
+ * @param {'left'|'center'|'right'|null} align - null removes the alignment
+ */
+export function setColumnAlignment(table, col, align) {
+  const updated = copyTable(table);
+  updated.alignments[col] = align;
+  return updated;
+}
+
+/**
+ * Sort body rows by column `col`. Numbers compare numerically, other text
+ * in natural, case-insensitive order, and empty cells always go last.
+ * @param {'asc'|'desc'} [direction='asc']
+ */
+export function sortRows(table, col, direction = 'asc') {
+  const sign = direction === 'desc' ? -1 : 1;
+  const compare = (a, b) => {
+    if (a === '' || b === '') return (a === '') - (b === '');
+    const x = Number(a);
+    const y = Number(b);
+    if (a.trim() !== '' && b.trim() !== '' && Number.isFinite(x) && Number.isFinite(y)) {
+      return sign * (x - y);
+    }
+    return sign * a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  };
+
+  const updated = copyTable(table);
+  updated.rows.sort((a, b) => compare(a[col], b[col]));
+  return updated;
+}
@@ -101,6 +101,241 @@ test.describe('Hybrid Markdown Editor', () => {
     await expect(page.locator('.cm-code-block-line')).toBeVisible();
   });
 
+  test('should render fenced blocks with a custom block renderer', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('```progress');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('Draft: 40');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('```');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after');
+
+    const preview = page.locator('.cm-custom-block-preview[data-language="progress"]');
+    await expect(preview).toBeVisible();
+    await expect(preview.locator('progress')).toHaveAttribute('value', '40');
+
+    // Clicking the rendered block reveals the source
+    await preview.click();
+    await expect(page.locator('.cm-custom-block-preview')).toHaveCount(0);
+    await expect(page.locator('.cm-content')).toContainText('```progress');
+  });
+
+  test('should render csv blocks as tables and convert them to pipe tables', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('```csv');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('name,qty');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('"pear, green",10');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('```');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after');
+
+    const table = page.locator('.cm-custom-block-preview .cm-table-preview table');
+    await expect(table.locator('th')).toHaveText(['name', 'qty']);
+    await expect(table.locator('td').first()).toHaveText('pear, green');
+
+    await page.locator('.cm-custom-block-preview').click();
+    await clickMoreMenuItem(page, 'CSV block → table');
+    await expect(page.locator('.cm-content')).toContainText('| pear, green | 10 |');
+  });
+
+  test('should paste HTML and spreadsheet cells as markdown', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    const paste = (data) => page.evaluate((entries) => {
+      const clipboardData = new DataTransfer();
+      for (const [type, value] of Object.entries(entries)) clipboardData.setData(type, value);
+      document.querySelector('.cm-content').dispatchEvent(
+        new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }),
+      );
+    }, data);
+
+    await paste({
+      'text/plain': 'Heading Bold link',
+      'text/html': '<h2>Heading</h2><p><strong>Bold</strong> <a href="https://example.com">link</a></p>',
+    });
+    await expect(page.locator('.cm-content')).toContainText('[link](https://example.com)');
+    await expect(page.locator('.cm-markdown-preview .md-h2')).toHaveText('Heading');
+
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await paste({ 'text/plain': 'Fruit\tQty\npear\t10\n' });
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after table');
+    await expect(page.locator('.md-table th')).toHaveText(['Fruit', 'Qty']);
+  });
+
+  test('should wrap selected text in a link when pasting a URL', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('read the docs');
+    await page.keyboard.down('Shift');
+    for (let i = 0; i < 4; i++) await page.keyboard.press('ArrowLeft');
+    await page.keyboard.up('Shift');
+
+    const paste = (text) => page.evaluate((value) => {
+      const clipboardData = new DataTransfer();
+      clipboardData.setData('text/plain', value);
+      document.querySelector('.cm-content').dispatchEvent(
+        new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }),
+      );
+    }, text);
+
+    await paste('https://example.com/docs\n');
+    await expect(page.locator('.cm-content')).toContainText('read the [docs](https://example.com/docs)');
+
+    // The demo resolves titles to the host name
+    await page.keyboard.press('End');
+    await page.keyboard.press('Enter');
+    await paste('https://www.example.org/page');
+    await expect(page.locator('.cm-content')).toContainText('[example.org](https://www.example.org/page)');
+
+    // Brackets in the selected text are escaped
+    await page.keyboard.press('End');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('see [1]');
+    await page.keyboard.down('Shift');
+    for (let i = 0; i < 3; i++) await page.keyboard.press('ArrowLeft');
+    await page.keyboard.up('Shift');
+    await paste('https://example.com/ref');
+    await expect(page.locator('.cm-content')).toContainText('see [\\[1\\]](https://example.com/ref)');
+  });
+
+  test('should upload pasted images through onImageUpload', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    const pasteImage = (name) => page.evaluate((fileName) => {
+      const clipboardData = new DataTransfer();
+      clipboardData.items.add(new File(['png'], fileName, { type: 'image/png' }));
+      document.querySelector('.cm-content').dispatchEvent(
+        new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }),
+      );
+    }, name);
+
+    await pasteImage('photo.png');
+    await expect(page.locator('.cm-image-upload')).toContainText('Uploading photo.png');
+    await expect(page.locator('.cm-image-upload')).toHaveCount(0);
+    await expect(page.locator('.cm-content')).toContainText('![photo](blob:');
+
+    // The demo uploader rejects files named "fail"
+    await page.keyboard.press('Enter');
+    await pasteImage('fail.png');
+    await expect(page.locator('.cm-image-upload-error')).toContainText('Server rejected the file');
+    await page.locator('.cm-image-upload-action', { hasText: 'Remove' }).click();
+    await expect(page.locator('.cm-image-upload')).toHaveCount(0);
+    await expect(page.locator('.cm-content')).not.toContainText('fail.png');
+  });
+
+  test('should keep an upload through undo and redo', async ({ page }) => {
+    const modifier = process.platform === 'darwin' ? 'Meta' : 'Control';
+    await page.locator('.cm-content').click();
+    await page.evaluate(() => {
+      const clipboardData = new DataTransfer();
+      clipboardData.items.add(new File(['png'], 'photo.png', { type: 'image/png' }));
+      document.querySelector('.cm-content').dispatchEvent(
+        new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true }),
+      );
+    });
+    await expect(page.locator('.cm-image-upload')).toContainText('Uploading photo.png');
+
+    await page.keyboard.press(`${modifier}+z`);
+    await expect(page.locator('.cm-image-upload')).toHaveCount(0);
+    await expect(page.locator('.cm-content')).not.toContainText('Uploading');
+
+    // Redo brings the upload back, whether or not it finished in the meantime
+    await page.keyboard.press(`${modifier}+Shift+z`);
+    await expect(page.locator('.cm-content')).toContainText('![photo](blob:');
+    await expect(page.locator('.cm-content')).not.toContainText('Uploading');
+  });
+
+  test('should size images from the alt suffix and resize them by dragging', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('![Sample|200](sample-image.jpg "A caption")');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after image');
+
+    const img = page.locator('.cm-image-preview img');
+    await expect(img).toHaveCSS('width', '200px');
+    await expect(page.locator('.cm-image-caption')).toHaveText('A caption');
+
+    const handle = page.locator('.cm-image-resize-right');
+    await page.locator('.cm-image-frame').hover();
+    const box = await handle.boundingBox();
+    await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+    await page.mouse.down();
+    await page.mouse.move(box.x + box.width / 2 + 100, box.y + box.height / 2, { steps: 5 });
+    await page.mouse.up();
+    await expect(img).toHaveCSS('width', '300px');
+
+    await page.keyboard.press('ArrowUp');
+    await expect(page.locator('.cm-content')).toContainText('![Sample|300](sample-image.jpg "A caption")');
+  });
+
+  test('should render inline images, galleries and broken image fallbacks', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('An icon ![Sample|24](sample-image.jpg) in a sentence');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('![One](sample-image.jpg) ![Two](sample-image.jpg)');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('Broken ![x](missing-image.png) image');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.cm-markdown-preview img[alt="Sample"]')).toHaveCSS('width', '24px');
+    await expect(page.locator('.md-image-gallery img')).toHaveCount(2);
+    await expect(page.locator('.cm-image-error-inline')).toHaveText('Image not found: missing-image.png');
+  });
+
+  test('should render image embeds and resolve image paths', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('![[sample-image.jpg|120]]');
+    await page.keyboard.press('Enter');
+    // The demo resolves attachments/ paths to its own root
+    await page.keyboard.type('Inline ![x](attachments/sample-image.jpg) image');
+    await page.keyboard.press('Enter');
+
+    const embed = page.locator('.cm-image-preview img');
+    await expect(embed).toHaveAttribute('src', 'sample-image.jpg');
+    await expect(embed).toHaveCSS('width', '120px');
+    await expect(page.locator('.cm-markdown-preview img[alt="x"]')).toHaveAttribute('src', 'sample-image.jpg');
+  });
+
+  test('should render note embeds through resolveEmbed', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('![[Research Notes#Open Questions]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('![[Project Plan]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('![[Missing Note]]');
+    await page.keyboard.press('Enter');
+
+    const section = page.locator('.cm-note-embed').first();
+    await expect(section.locator('.cm-note-embed-header')).toHaveText('Research Notes › Open Questions');
+    await expect(section.locator('.cm-note-embed-content')).toContainText('How should embeds handle very long notes?');
+    await expect(section.locator('.cm-note-embed-content')).not.toContainText('Sources');
+
+    // Project Plan embeds a section of Release Checklist
+    const nested = page.locator('.cm-note-embed .cm-note-embed');
+    await expect(nested.locator('.cm-note-embed-content')).toContainText('Changelog updated');
+    await expect(page.locator('.cm-note-embed-missing')).toHaveText('Note not found: Missing Note');
+  });
+
+  test('should stop embeds at cycles and at the depth limit', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    // Loop A embeds Loop B, which embeds Loop A again
+    await page.keyboard.type('![[Loop A]]');
+    await page.keyboard.press('Enter');
+    // Chain 1 → Chain 2 → Chain 3 → Chain 4 is one level too deep
+    await page.keyboard.type('![[Chain 1]]');
+    await page.keyboard.press('Enter');
+
+    await expect(page.locator('.cm-note-embed-cycle')).toHaveText('Circular embed: Loop A');
+    await expect(page.locator('.cm-note-embed-content', { hasText: 'Loop B embeds Loop A' })).toBeVisible();
+
+    await expect(page.locator('.cm-note-embed-limit')).toHaveText('Embed depth limit reached: Chain 4');
+    await expect(page.locator('.cm-note-embed-content', { hasText: 'Third link' })).toBeVisible();
+    await expect(page.locator('.cm-note-embed-content', { hasText: 'Fourth link' })).toHaveCount(0);
+  });
+
   test('should render table preview when unfocused', async ({ page }) => {
     await page.locator('.cm-content').click();
     await page.keyboard.type('| A | B |');
@@ -114,6 +349,102 @@ test.describe('Hybrid Markdown Editor', () => {
     await expect(page.locator('.md-table')).toBeVisible();
   });
 
+  test('should edit table cells in place and realign the table', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('| A | B |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('|---|---|');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| 1 | 2 |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after table');
+
+    await page.locator('.md-table td').first().click();
+    const input = page.locator('.cm-table-cell-input');
+    await expect(input).toHaveValue('1');
+    await input.fill('first');
+    await page.keyboard.press('Tab');
+    await expect(page.locator('.cm-table-cell-input')).toHaveValue('2');
+    await page.keyboard.press('Enter');
+    await page.locator('.cm-table-cell-input').fill('new');
+    await page.keyboard.press('Escape');
+    await expect(page.locator('.md-table tbody tr')).toHaveCount(2);
+
+    // Move the cursor into the table to reveal the rewritten source
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    await expect(page.locator('.cm-content')).toContainText('| first | 2   |');
+  });
+
+  test('should not rewrite a table when a cell is left unchanged', async ({ page }) => {
+    await page.goto('/');
+    await page.waitForSelector('.cm-editor');
+    const before = await page.evaluate(() => window.__view.state.doc.toString());
+
+    await page.locator('.md-table td', { hasText: 'Preview' }).click();
+    await expect(page.locator('.cm-table-cell-input')).toHaveValue('Preview');
+    await page.keyboard.press('Tab');
+    await expect(page.locator('.cm-table-cell-input')).toHaveValue('Done');
+    await page.keyboard.press('Escape');
+
+    const after = await page.evaluate(() => window.__view.state.doc.toString());
+    expect(after).toBe(before);
+  });
+
+  test('should align table columns when the cursor leaves the table', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('| 名前 | x |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('|---|--:|');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| 田中太郎 | 1 |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after table');
+
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    await expect(page.locator('.cm-content')).toContainText('| 名前     |   x |');
+    await expect(page.locator('.cm-content')).toContainText('| -------- | --: |');
+    await expect(page.locator('.cm-content')).toContainText('| 田中太郎 |   1 |');
+  });
+
+  test('should sort and restructure tables from the cell context menu', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('| Fruit | Qty |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('|---|---|');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| pear | 10 |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| apple | 9 |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text after table');
+
+    await page.locator('.md-table td', { hasText: '10' }).click({ button: 'right' });
+    await expect(page.locator('.cm-table-menu')).toBeVisible();
+    await expect(page.locator('.cm-table-menu-item', { hasText: 'Move column right' })).toBeDisabled();
+    await page.locator('.cm-table-menu-item', { hasText: 'Sort ascending' }).click();
+    await expect(page.locator('.cm-table-menu')).toHaveCount(0);
+    await expect(page.locator('.md-table tbody tr').first()).toContainText('apple');
+
+    await page.locator('.md-table th', { hasText: 'Fruit' }).click({ button: 'right' });
+    await expect(page.locator('.cm-table-menu-item', { hasText: 'Delete row' })).toBeDisabled();
+    await page.locator('.cm-table-menu-item', { hasText: 'Insert column right' }).click();
+    await expect(page.locator('.md-table th')).toHaveCount(3);
+
+    // No table edits in read-only mode
+    await clickMoreMenuItem(page, 'Read-only');
+    await closeMoreMenu(page);
+    await page.locator('.md-table td', { hasText: '10' }).click({ button: 'right' });
+    await expect(page.locator('.cm-table-menu')).toHaveCount(0);
+    await page.locator('.md-table td', { hasText: '10' }).click();
+    await expect(page.locator('.cm-table-cell-input')).toHaveCount(0);
+    await expect(page.locator('.md-table th')).toHaveCount(3);
+  });
+
   test('should render blockquote preview when unfocused', async ({ page }) => {
     await page.locator('.cm-content').click();
     await page.keyboard.type('> This is a quote');
@@ -213,6 +544,143 @@ test.describe('Hybrid Markdown Editor', () => {
     await expect(page.locator('.cm-markdown-preview .md-wikilink')).toHaveText('Open Questions');
   });
 
+  test('should style missing wiki links and create notes on click', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('See [[Project Plan]] and [[Someday Ideas]]');
+    await expect(page.locator('.cm-wikilink-missing')).toHaveText('[[Someday Ideas]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+
+    await expect(page.locator('.cm-markdown-preview .md-wikilink-missing')).toHaveText('Someday Ideas');
+    await expect(page.locator('.cm-markdown-preview .md-wikilink:not(.md-wikilink-missing)')).toHaveText('Project Plan');
+
+    await page.locator('.cm-markdown-preview .md-wikilink-missing').click();
+    const created = await page.evaluate(() => window.__wikiLinkTelemetry?.created || []);
+    expect(created).toEqual(['Someday Ideas']);
+    const lastTitle = await page.evaluate(() => window.__wikiLinkTelemetry?.last?.title || '');
+    expect(lastTitle).toBe('');
+  });
+
+  test('should drop the missing style once the note is created', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('Write [[Someday Ideas]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| Link |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('|---|');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('| [[Someday Ideas]] |');
+    await page.keyboard.press('Enter');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+
+    const missing = page.locator('.cm-markdown-preview .md-wikilink-missing, .md-table .md-wikilink-missing');
+    await expect(missing).toHaveCount(2);
+
+    // The demo adds the note to a new noteIndex and reconfigures the editor
+    await missing.first().click();
+    await expect(missing).toHaveCount(0);
+    await expect(page.locator('.md-table .md-wikilink')).toHaveText('Someday Ideas');
+
+    // The link now navigates instead of creating the note again
+    await page.locator('.cm-markdown-preview .md-wikilink').first().click();
+    const telemetry = await page.evaluate(() => window.__wikiLinkTelemetry);
+    expect(telemetry.created).toEqual(['Someday Ideas']);
+    expect(telemetry.last.title).toBe('Someday Ideas');
+  });
+
+  test('should preview the linked note when hovering a wiki link', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('See [[Research Notes#Open Questions]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+
+    await page.locator('.cm-markdown-preview .md-wikilink').hover();
+    const popover = page.locator('.cm-wikilink-preview');
+    await expect(popover.locator('.cm-wikilink-preview-title')).toHaveText('Research Notes › Open Questions');
+    await expect(popover.locator('.cm-wikilink-preview-target')).toHaveText('Open Questions');
+    await expect(popover.locator('.cm-wikilink-preview-content')).toContainText('Should sections be editable in place?');
+
+    await page.keyboard.press('Escape');
+    await expect(popover).toHaveCount(0);
+  });
+
+  test('should preview the section of a custom heading ID', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('See [[Research Notes#reading-list]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+
+    await page.locator('.cm-markdown-preview .md-wikilink').hover();
+    const target = page.locator('.cm-wikilink-preview .cm-wikilink-preview-target');
+    await expect(target).toContainText('Sources');
+    await expect(target).toHaveJSProperty('tagName', 'H2');
+  });
+
+  test('should render block IDs and add one to copy a block link', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('Build with [[Release Checklist#^build-command]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('A paragraph worth linking');
+
+    const link = page.locator('.cm-markdown-preview .md-wikilink');
+    await expect(link).toHaveAttribute('data-wikilink-block', 'build-command');
+    await link.hover();
+    await expect(page.locator('.cm-wikilink-preview-target')).toContainText('npm run build:lib');
+    await page.keyboard.press('Escape');
+
+    await clickMoreMenuItem(page, 'Copy block link');
+    await expect(page.locator('.cm-line').nth(1)).toHaveText(/^A paragraph worth linking \^[a-z0-9]{6}$/);
+
+    await page.locator('.cm-line').first().click();
+    await expect(page.locator('.cm-markdown-preview .md-block-id')).toHaveText(/^\^[a-z0-9]{6}$/);
+  });
+
+  test('should rename wiki link targets in one undoable step', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('[[Project Plan|plan]] and [[Project Plan#Milestones]]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('`[[Project Plan]]` stays');
+
+    await clickMoreMenuItem(page, 'Rename Project Plan → Roadmap');
+    await closeMoreMenu(page);
+    const links = page.locator('.cm-markdown-preview .md-wikilink');
+    await expect(links.nth(0)).toHaveAttribute('data-wikilink', '[[Roadmap|plan]]');
+    await expect(links.nth(1)).toHaveAttribute('data-wikilink', '[[Roadmap#Milestones]]');
+    await expect(page.locator('.cm-selectedLine')).toHaveText('`[[Project Plan]]` stays');
+
+    const modifier = process.platform === 'darwin' ? 'Meta' : 'Control';
+    await page.locator('.cm-content').focus();
+    await page.keyboard.press(`${modifier}+z`);
+    await expect(links.nth(0)).toHaveAttribute('data-wikilink', '[[Project Plan|plan]]');
+  });
+
+  test('should complete headings and block IDs inside wiki links', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('# Intro');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('## Details');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('See [[#Det');
+    const completions = page.locator('.cm-tooltip-autocomplete');
+    await expect(completions).toContainText('Details');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.cm-selectedLine')).toHaveText('See [[#Details]]');
+
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('[[Project Plan#');
+    await expect(completions).toContainText('Milestones');
+    await page.keyboard.press('Escape');
+
+    // Release Checklist loads its outline on demand
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('[[Release Checklist^');
+    await expect(completions).toContainText('^build-command');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.cm-selectedLine')).toHaveText('[[Release Checklist#^build-command]]');
+  });
+
   test('should not parse wiki links inside inline code', async ({ page }) => {
     await page.locator('.cm-content').click();
     await page.keyboard.type('`[[NotALink]]`');
@@ -279,6 +747,53 @@ test.describe('Hybrid Markdown Editor', () => {
     await page.locator('.cm-markdown-preview').first().click();
     await expect(page.locator('.cm-content')).toContainText('[i] Cycle task');
   });
+
+  test('should apply markdownPlugins to their own editor only', async ({ page }) => {
+    await page.locator('.cm-content').click();
+    await page.keyboard.type('Hi @ada');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+    await expect(page.locator('.cm-editor .demo-mention', { hasText: '@ada' })).toBeVisible();
+
+    // A second editor without the plugin renders with the built-in rules
+    await page.evaluate(() => {
+      const { EditorState, EditorView, hybridMarkdown } = window.__lib;
+      const parent = document.createElement('div');
+      parent.id = 'plain-editor';
+      document.body.appendChild(parent);
+      const doc = 'Hi @ada\n\nnext line';
+      new EditorView({
+        state: EditorState.create({ doc, selection: { anchor: doc.length }, extensions: [hybridMarkdown({ toolbar: false })] }),
+        parent,
+      });
+    });
+    const plain = page.locator('#plain-editor .cm-markdown-preview', { hasText: 'Hi @ada' });
+    await expect(plain).toBeVisible();
+    await expect(page.locator('#plain-editor .demo-mention')).toHaveCount(0);
+    await expect(page.locator('.editor-container .demo-mention')).toHaveCount(1);
+  });
+
+  test('should export the preview markup as standalone HTML', async ({ page }) => {
+    const doc = '# Export\n\n> [!note] Heads up\n> Body\n\n- [ ] Task\n\nText[^1]\n\n[^1]: Footnote\n\n$$\nx^2\n$$';
+    await page.evaluate((insert) => window.__view.dispatch({ changes: { from: 0, insert } }), doc);
+
+    const html = await page.evaluate(() => window.__lib.exportHtml(window.__view, { inlineCss: true, theme: 'dark' }));
+    expect(html).toContain('<title>Export</title>');
+    expect(html).toContain('class="cm-callout-preview"');
+    expect(html).toContain('md-task-item');
+    expect(html).toContain('class="md-footnote-block"');
+    expect(html).toContain('class="cm-math-preview"');
+    expect(html).toContain('class="katex-display"');
+    expect(html).toContain('katex.min.css');
+    expect(html).toContain('class="cm-editor cm-export cm-export-dark"');
+    // Theme CSS applies only under the matching theme class
+    expect(html).toMatch(/\.cm-editor\.cm-export-dark \.cm-content \{/);
+    expect(html).not.toContain('cm-export-light');
+
+    const plain = await page.evaluate(() => window.__lib.exportHtml(window.__view));
+    expect(plain).not.toContain('<style>');
+    expect(plain).toContain('cm-export-light');
+  });
 });
 
 test.describe('Bottom Toolbar Actions', () => {
@@ -377,6 +892,35 @@ test.describe('More Menu Toggles', () => {
     await expect(page.locator('.cm-markdown-preview .md-h1')).toHaveCount(0);
   });
 
+  test('should render the whole document in read mode and click back into hybrid', async ({ page }) => {
+    await page.keyboard.type('# Heading');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('next line');
+
+    await clickMoreMenuItem(page, 'Read mode');
+    await closeMoreMenu(page);
+    const readView = page.locator('.cm-read-mode');
+    await expect(readView).toBeVisible();
+    await expect(readView.locator('.md-h1')).toHaveText('Heading');
+    await expect(readView).not.toContainText('# Heading');
+
+    // Clicking a rendered line returns to hybrid mode on that line
+    await readView.locator('.cm-read-line', { hasText: 'next line' }).click();
+    await expect(page.locator('.cm-read-mode')).toHaveCount(0);
+    await expect(page.locator('.cm-selectedLine')).toContainText('next line');
+  });
+
+  test('should not open the table menu in read mode', async ({ page }) => {
+    const table = '| Fruit | Qty |\n|---|---|\n| pear | 10 |\n| apple | 9 |\n\nafter';
+    await page.evaluate((insert) => window.__view.dispatch({ changes: { from: 0, insert } }), table);
+
+    await clickMoreMenuItem(page, 'Read mode');
+    await closeMoreMenu(page);
+    await page.locator('.cm-read-mode .md-table td', { hasText: '10' }).click({ button: 'right' });
+    await expect(page.locator('.cm-table-menu')).toHaveCount(0);
+    expect(await page.evaluate(() => window.__view.state.doc.toString())).toBe(table);
+  });
+
   test('should keep more menu accessible after toggling raw mode', async ({ page }) => {
     // Toggle raw mode on
     await clickMoreMenuItem(page, 'Raw mode');
@@ -435,6 +979,102 @@ test.describe('More Menu Toggles', () => {
     await expect(page.locator('.cm-word-count-panel')).toHaveCount(0);
   });
 
+  test('should toggle outline panel from more menu', async ({ page }) => {
+    await page.keyboard.type('# Intro');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('## Details');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('text');
+
+    await expect(page.locator('.cm-outline-panel')).toHaveCount(0);
+    await clickMoreMenuItem(page, 'Outline');
+    await closeMoreMenu(page);
+    await expect(page.locator('.cm-outline-text')).toHaveText(['Intro', 'Details']);
+    await expect(page.locator('.cm-outline-item-active .cm-outline-text')).toHaveText('Details');
+
+    await page.locator('.cm-outline-item', { hasText: 'Intro' }).click();
+    await expect(page.locator('.cm-outline-item-active .cm-outline-text')).toHaveText('Intro');
+  });
+
+  test('should fold and unfold all headings from more menu', async ({ page }) => {
+    await page.keyboard.type('# One');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('first body');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('# Two');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('second body');
+
+    await clickMoreMenuItem(page, 'Fold all');
+    await closeMoreMenu(page);
+    await expect(page.locator('.cm-collapse-toggle.collapsed').first()).toBeVisible();
+    await expect(page.locator('.cm-collapsed-line', { hasText: 'first body' })).toHaveCount(1);
+
+    await clickMoreMenuItem(page, 'Unfold all');
+    await closeMoreMenu(page);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(0);
+    await expect(page.locator('.cm-collapsed-line')).toHaveCount(0);
+  });
+
+  test('should persist folds by heading text and ID', async ({ page }) => {
+    await page.keyboard.type('## Alpha [#alpha]');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('alpha body');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('## Beta');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('beta body');
+
+    await clickMoreMenuItem(page, 'Fold all');
+    await closeMoreMenu(page);
+    const saved = await page.evaluate(() => window.__lib.getFoldState(window.__view));
+    expect(saved).toEqual([
+      { text: 'Alpha', id: 'alpha', level: 2 },
+      { text: 'Beta', id: null, level: 2 },
+    ]);
+    const reported = await page.evaluate(() => window.__foldChanges.at(-1));
+    expect(reported).toEqual(saved);
+
+    await clickMoreMenuItem(page, 'Unfold all');
+    await closeMoreMenu(page);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(0);
+
+    // Edit above the headings and rename the one with an ID: line numbers
+    // and text change, the saved folds still apply
+    await page.evaluate(() => {
+      const view = window.__view;
+      view.dispatch({ changes: { from: 0, insert: 'Intro\n\n' } });
+      const line = view.state.doc.line(3);
+      view.dispatch({ changes: { from: line.from, to: line.to, insert: '## Renamed [#alpha]' } });
+    });
+    await page.evaluate((foldState) => window.__lib.restoreFoldState(window.__view, foldState), saved);
+
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(2);
+    await expect(page.locator('.cm-collapsed-line', { hasText: 'alpha body' })).toHaveCount(1);
+    const restored = await page.evaluate(() => window.__lib.getFoldState(window.__view));
+    expect(restored.map((entry) => entry.id ?? entry.text)).toEqual(['alpha', 'Beta']);
+  });
+
+  test('should bring back a dropped fold on undo', async ({ page }) => {
+    await page.keyboard.type('## Alpha');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('alpha body');
+
+    await clickMoreMenuItem(page, 'Fold all');
+    await closeMoreMenu(page);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(1);
+
+    // Removing the `#` marks drops the fold, undo restores it
+    await page.evaluate(() => window.__view.dispatch({ changes: { from: 0, to: 3 } }));
+    await expect(page.locator('.cm-collapse-toggle')).toHaveCount(0);
+    expect(await page.evaluate(() => window.__foldChanges.at(-1))).toEqual([]);
+
+    const modifier = process.platform === 'darwin' ? 'Meta' : 'Control';
+    await page.locator('.cm-content').focus();
+    await page.keyboard.press(`${modifier}+z`);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(1);
+  });
+
   test('should toggle bottom toolbar from more menu', async ({ page }) => {
     await expect(page.locator('.cm-bottom-toolbar')).toHaveCount(0);
     await clickMoreMenuItem(page, 'Toolbar');
@@ -490,4 +1130,95 @@ test.describe('Keyboard Shortcuts', () => {
     await page.keyboard.press(`${modifier}+z`);
     await expect(page.locator('.cm-content')).not.toContainText('Hello');
   });
+
+  test('should fold and unfold all headings with keyboard shortcuts', async ({ page }) => {
+    const fold = process.platform === 'darwin' ? 'Meta+Alt' : 'Control+Shift';
+    await page.keyboard.type('# Apples');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('## Red');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('crisp');
+
+    await page.keyboard.press(`${fold}+BracketLeft`);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(2);
+    await page.keyboard.press(`${fold}+BracketRight`);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(0);
+
+    await page.keyboard.press(`${fold}+Digit2`);
+    await expect(page.locator('.cm-collapse-toggle.collapsed')).toHaveCount(1);
+    await expect(page.locator('.cm-collapsed-line', { hasText: 'crisp' })).toHaveCount(1);
+  });
+
+  test('should move section up with keyboard shortcut', async ({ page }) => {
+    await page.keyboard.type('# Apples');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('red');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('# Bananas');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('yellow');
+
+    await page.keyboard.press(`${modifier}+Shift+Alt+ArrowUp`);
+    await expect(page.locator('.cm-content')).toHaveText(/Bananas.*yellow.*Apples.*red/);
+
+    // The whole move is a single undo step
+    await page.keyboard.press(`${modifier}+z`);
+    await expect(page.locator('.cm-content')).toHaveText(/Apples.*red.*Bananas.*yellow/);
+  });
+});
+
+test.describe('Section Commands', () => {
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/#empty');
+    await page.waitForSelector('.cm-editor');
+    await page.locator('.cm-content').click();
+
+    await page.keyboard.type('## Parent');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('body');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('### Child');
+    await page.keyboard.press('Enter');
+    await page.keyboard.type('child text');
+  });
+
+  async function goToFirstLine(page) {
+    for (let i = 0; i < 3; i++) {
+      await page.keyboard.press('ArrowUp');
+    }
+  }
+
+  test('should promote heading and nested headings with Shift+Tab', async ({ page }) => {
+    await goToFirstLine(page);
+    await page.keyboard.press('Shift+Tab');
+
+    await expect(page.locator('.cm-line').first()).toHaveText('# Parent');
+    await expect(page.locator('.cm-markdown-preview .md-h2')).toHaveText('Child');
+  });
+
+  test('should demote heading and nested headings with Tab', async ({ page }) => {
+    await goToFirstLine(page);
+    await page.keyboard.press('Tab');
+
+    await expect(page.locator('.cm-line').first()).toHaveText('### Parent');
+    await expect(page.locator('.cm-markdown-preview .md-h4')).toHaveText('Child');
+  });
+
+  test('should refuse to promote past H1', async ({ page }) => {
+    await goToFirstLine(page);
+    await page.keyboard.press('Shift+Tab');
+    await page.keyboard.press('Shift+Tab');
+
+    await expect(page.locator('.cm-line').first()).toHaveText('# Parent');
+    await expect(page.locator('.cm-markdown-preview .md-h2')).toHaveText('Child');
+  });
+
+  test('should not change headings when Tab is pressed on a body line', async ({ page }) => {
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('ArrowUp');
+    await page.keyboard.press('Tab');
+
+    await expect(page.locator('.cm-markdown-preview .md-h2')).toHaveText('Parent');
+    await expect(page.locator('.cm-markdown-preview .md-h3')).toHaveText('Child');
+  });
 });